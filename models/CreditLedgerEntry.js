@@ -0,0 +1,20 @@
+// backend/models/CreditLedgerEntry.js
+
+const mongoose = require('mongoose');
+
+// Append-only record of paid operations, their refunds and reversed deposits.
+// (type, reference) is unique, so a refund can be recorded at most once.
+const CreditLedgerEntrySchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, index: true },
+  type:          { type: String, enum: ['charge', 'refund', 'reversal'], required: true },
+  amount:        { type: Number, required: true },   // always positive
+  reference:     { type: String, required: true },   // e.g. 'job:<requestId>', 'deposit:<txid>'
+  reason:        { type: String },
+  applied:       { type: Boolean, default: false },  // credits actually moved
+  createdAt:     { type: Date, default: Date.now }
+});
+
+CreditLedgerEntrySchema.index({ type: 1, reference: 1 }, { unique: true });
+CreditLedgerEntrySchema.index({ applied: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CreditLedgerEntry', CreditLedgerEntrySchema);
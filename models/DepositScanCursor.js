@@ -0,0 +1,18 @@
+// backend/models/DepositScanCursor.js
+
+const mongoose = require('mongoose');
+
+// How far back a wallet's history has been scanned for deposits, per coin.
+// KAS: block time (ms) of the newest transaction processed.
+// KRC-20 (coinType = tick): opScore up to which every operation is settled.
+// A missing cursor means the next scan walks the whole history.
+const DepositScanCursorSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true },
+  coinType:      { type: String, required: true },   // 'KAS' or a KRC-20 tick
+  position:      { type: Number, default: 0 },
+  updatedAt:     { type: Date, default: Date.now }
+}, { versionKey: false });
+
+DepositScanCursorSchema.index({ walletAddress: 1, coinType: 1 }, { unique: true });
+
+module.exports = mongoose.model('DepositScanCursor', DepositScanCursorSchema);
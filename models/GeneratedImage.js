@@ -0,0 +1,15 @@
+// backend/models/GeneratedImage.js
+
+const mongoose = require('mongoose');
+
+// Image bytes generated for a site (provider URLs expire, so we keep our own copy)
+const GeneratedImageSchema = new mongoose.Schema({
+  requestId:   { type: String, required: true, index: true },
+  kind:        { type: String, enum: ['navLogo', 'heroBg'], required: true },
+  contentType: { type: String, default: 'image/png' },
+  data:        { type: Buffer, required: true },
+  prompt:      { type: String },
+  createdAt:   { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('GeneratedImage', GeneratedImageSchema);
@@ -0,0 +1,61 @@
+// backend/models/GenerationJob.js
+
+const mongoose = require('mongoose');
+
+// Image URLs substituted into the generated code on /result and /export
+const JobImagesSchema = new mongoose.Schema({
+  navLogo:   { type: String },
+  heroBg:    { type: String },
+  footerImg: { type: String }
+}, { _id: false });
+
+// One document per POST /start-generation; doubles as the worker queue entry
+const GenerationJobSchema = new mongoose.Schema({
+  requestId:      { type: String, required: true, unique: true },
+  walletAddress:  { type: String, required: true, index: true },
+  status: {
+    type: String,
+    enum: ['queued', 'in-progress', 'done', 'error'],
+    default: 'queued',
+    index: true
+  },
+  progress:       { type: Number, default: 0 },
+  // Finer-grained step for live views: queued, prompting, generating, images, ...
+  stage:          { type: String, default: 'queued' },
+  userInputs:     { type: mongoose.Schema.Types.Mixed, required: true },
+  code:           { type: String, default: null },
+  // HTML streamed so far while the model is still writing
+  partialCode:    { type: String, default: null },
+  images:         { type: JobImagesSchema, default: () => ({}) },
+  error:          { type: String, default: null },
+  // What services/siteValidator.js fixed, and what it could not
+  validation: {
+    fixes:     { type: [String], default: undefined },
+    defects:   { type: [String], default: undefined },
+    reprompts: { type: Number, default: 0 }
+  },
+
+  // LLM provider chain chosen at enqueue time, and the one that answered
+  llmProviders:   { type: [String], default: undefined },
+  llmProvider:    { type: String, default: null },
+
+  // Credit bookkeeping (1 credit is deducted when the job is created)
+  creditsCharged: { type: Number, default: 1 },
+  refunded:       { type: Boolean, default: false },
+
+  // Queue leasing: a worker owns the job until leaseExpiresAt
+  attempts:       { type: Number, default: 0 },
+  maxAttempts:    { type: Number, default: 3 },
+  availableAt:    { type: Date, default: Date.now },
+  leaseOwner:     { type: String, default: null },
+  leaseExpiresAt: { type: Date, default: null },
+
+  createdAt:      { type: Date, default: Date.now },
+  updatedAt:      { type: Date, default: Date.now },
+  finishedAt:     { type: Date, default: null }
+});
+
+GenerationJobSchema.index({ status: 1, availableAt: 1 });
+GenerationJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+module.exports = mongoose.model('GenerationJob', GenerationJobSchema);
@@ -0,0 +1,23 @@
+// backend/models/JobEvent.js
+
+const mongoose = require('mongoose');
+
+// Progress events written by the worker and tailed by the web process.
+// Capped collection: insertion-ordered, old events roll off automatically.
+// `requestId` is the channel: a job's requestId, or 'wallet:<address>' for
+// account notifications (deposits).
+const JobEventSchema = new mongoose.Schema({
+  requestId: { type: String, required: true },
+  type: {
+    type: String,
+    enum: ['stage', 'progress', 'delta', 'done', 'error', 'deposit'],
+    required: true
+  },
+  data:      { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  capped: { size: 64 * 1024 * 1024, max: 200000 },
+  versionKey: false
+});
+
+module.exports = mongoose.model('JobEvent', JobEventSchema);
@@ -0,0 +1,20 @@
+// backend/models/LoginChallenge.js
+
+const mongoose = require('mongoose');
+
+// One-time nonce a wallet signs to prove it holds the address's key
+// (POST /auth/challenge), to log in (POST /auth/verify) or to register a
+// non-custodial xPub (POST /create-wallet). Consumed on first use; expired
+// ones are removed by the TTL index.
+const LoginChallengeSchema = new mongoose.Schema({
+  nonce:         { type: String, required: true, unique: true },
+  walletAddress: { type: String, required: true },
+  purpose:       { type: String, enum: ['login', 'register'], default: 'login' },
+  message:       { type: String, required: true },   // exact text to sign
+  createdAt:     { type: Date, default: Date.now },
+  expiresAt:     { type: Date, required: true }
+});
+
+LoginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginChallenge', LoginChallengeSchema);
@@ -0,0 +1,25 @@
+// backend/models/PaymentAsset.js
+
+const mongoose = require('mongoose');
+
+// A rate change that takes effect at `effectiveAt` (until a later one does)
+const RateChangeSchema = new mongoose.Schema({
+  creditsPerUnit: { type: Number, required: true },
+  effectiveAt:    { type: Date, required: true },
+  createdAt:      { type: Date, default: Date.now }
+});
+
+// Coins accepted as payment: native KAS plus admin-added KRC-20 ticks.
+// Deposits of disabled or unknown assets are not credited.
+const PaymentAssetSchema = new mongoose.Schema({
+  tick:           { type: String, required: true, unique: true },  // 'KAS', 'KASPER', ... (upper case)
+  kind:           { type: String, enum: ['native', 'krc20'], required: true },
+  decimals:       { type: Number, required: true, min: 0 },
+  creditsPerUnit: { type: Number, required: true, min: 0 },        // rate before any scheduled change
+  rateChanges:    { type: [RateChangeSchema], default: [] },
+  enabled:        { type: Boolean, default: true },
+  createdAt:      { type: Date, default: Date.now },
+  updatedAt:      { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('PaymentAsset', PaymentAssetSchema);
@@ -0,0 +1,15 @@
+// backend/models/RateLimit.js
+
+const mongoose = require('mongoose');
+
+// Fixed-window counter per key (e.g. 'reveal:<wallet>'), shared by all
+// web processes. Windows are removed by the TTL index once they end.
+const RateLimitSchema = new mongoose.Schema({
+  key:       { type: String, required: true, unique: true },
+  count:     { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }   // end of the current window
+}, { versionKey: false });
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,19 @@
+// backend/models/Session.js
+
+const mongoose = require('mongoose');
+
+// Login session. Only the SHA-256 of the opaque token is stored, so a
+// database leak doesn't hand out usable tokens. Mongo's TTL monitor
+// removes sessions once expiresAt passes.
+const SessionSchema = new mongoose.Schema({
+  tokenHash:     { type: String, required: true, unique: true },
+  walletAddress: { type: String, required: true, index: true },
+  userAgent:     { type: String },
+  createdAt:     { type: Date, default: Date.now },
+  lastUsedAt:    { type: Date, default: Date.now },
+  expiresAt:     { type: Date, required: true }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
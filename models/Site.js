@@ -0,0 +1,24 @@
+// backend/models/Site.js
+
+const mongoose = require('mongoose');
+
+// A generated website; its content lives in SiteRevision documents
+const SiteSchema = new mongoose.Schema({
+  walletAddress:   { type: String, required: true, index: true },  // owner
+  requestId:       { type: String, unique: true, sparse: true },   // generation that created it
+  title:           { type: String },
+  coinName:        { type: String },
+  projectType:     { type: String },
+  userInputs:      { type: mongoose.Schema.Types.Mixed, default: {} },
+  currentRevision: { type: Number, default: 0 },   // revision number currently shown
+  revisionCount:   { type: Number, default: 0 },   // highest revision number issued
+  createdAt:       { type: Date, default: Date.now },
+  updatedAt:       { type: Date, default: Date.now }
+});
+
+// Owner's site list (see siteService.listSitesPage sort fields)
+SiteSchema.index({ walletAddress: 1, updatedAt: -1, _id: -1 });
+SiteSchema.index({ walletAddress: 1, createdAt: -1, _id: -1 });
+SiteSchema.index({ walletAddress: 1, title: 1, _id: 1 });
+
+module.exports = mongoose.model('Site', SiteSchema);
@@ -0,0 +1,35 @@
+// backend/models/SiteRevision.js
+
+const mongoose = require('mongoose');
+
+// Summary of what changed compared with the previous revision
+const DiffSummarySchema = new mongoose.Schema({
+  linesAdded:      { type: Number, default: 0 },
+  linesRemoved:    { type: Number, default: 0 },
+  sectionsAdded:   { type: [String], default: [] },
+  sectionsRemoved: { type: [String], default: [] },
+  sectionsChanged: { type: [String], default: [] },
+  stylesChanged:   { type: Boolean, default: false }
+}, { _id: false });
+
+// One immutable copy of a site's HTML
+const SiteRevisionSchema = new mongoose.Schema({
+  siteId:       { type: mongoose.Schema.Types.ObjectId, ref: 'Site', required: true },
+  number:       { type: Number, required: true },  // 1, 2, 3... per site
+  content:      { type: String, required: true },
+  author:       { type: String, required: true },  // wallet address of whoever saved it
+  source: {
+    type: String,
+    enum: ['generation', 'save', 'section', 'restore', 'migration'],
+    required: true
+  },
+  message:      { type: String },                  // e.g. "Regenerated hero"
+  restoredFrom: { type: Number, default: null },
+  diffSummary:  { type: DiffSummarySchema, default: () => ({}) },
+  size:         { type: Number, default: 0 },      // content length in characters
+  createdAt:    { type: Date, default: Date.now }
+});
+
+SiteRevisionSchema.index({ siteId: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('SiteRevision', SiteRevisionSchema);
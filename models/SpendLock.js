@@ -0,0 +1,16 @@
+// backend/models/SpendLock.js
+
+const mongoose = require('mongoose');
+
+// Exclusive right to spend one address's UTXOs (services/spendLock.js),
+// shared by withdrawals and sweeps across every process. A holder that
+// dies mid-send loses it at expiresAt; the TTL index removes it later.
+const SpendLockSchema = new mongoose.Schema({
+  address:   { type: String, required: true, unique: true },
+  holder:    { type: String, required: true },   // 'withdrawal:<id>', 'sweep:<id>'
+  expiresAt: { type: Date, required: true }
+}, { versionKey: false });
+
+SpendLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SpendLock', SpendLockSchema);
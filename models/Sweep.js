@@ -0,0 +1,30 @@
+// backend/models/Sweep.js
+
+const mongoose = require('mongoose');
+
+// Consolidation of credited KAS deposits from a user's credit address into
+// the treasury (services/sweepService.js). Sompi amounts are strings.
+const SweepSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, index: true },
+  depositAddress: { type: String },                // swept from (credit address)
+  treasury:      { type: String, required: true },
+  depositTxids:  { type: [String], default: [] },   // credited deposits this sweep covers
+  amountSompi:   { type: String },                 // sent to the treasury
+  feeSompi:      { type: String },
+  status: {
+    type: String,
+    enum: ['processing', 'submitted', 'failed'],
+    default: 'processing'
+  },
+  txids:         { type: [String], default: [] },
+  error:         { type: String },
+  createdAt:     { type: Date, default: Date.now },
+  updatedAt:     { type: Date, default: Date.now },
+  submittedAt:   { type: Date }
+});
+
+SweepSchema.index({ txids: 1 });
+// Crash recovery: 'processing' rows nobody has touched for a while
+SweepSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('Sweep', SweepSchema);
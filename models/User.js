@@ -2,30 +2,65 @@
 
 const mongoose = require('mongoose');
 
-// Track any website generation
-const GeneratedFileSchema = new mongoose.Schema({
-  requestId: { type: String, required: true },
-  content: { type: String, required: true },
-  generatedAt: { type: Date, default: Date.now }
-});
 // Track processed deposit transactions (KAS/KASPER)
+//   pending    seen, not deep enough yet; creditsAdded NOT in `credits`
+//   confirmed  creditsAdded is in `credits`
+//   reversed   dropped / reorged out after being seen; credits taken back
 const ProcessedTransactionSchema = new mongoose.Schema({
   txid: { type: String, required: true },  // e.g. the KAS or KASPER TX hash
   coinType: { type: String },              // e.g. 'KAS' or 'KASPER'
+  address: { type: String },               // credit address paid (older entries: walletAddress)
   amount: { type: Number, default: 0 },    // how many KAS or KASPER
   creditsAdded: { type: Number, default: 0 },
-  timestamp: { type: Date, default: Date.now }
+  status: { type: String, enum: ['pending', 'confirmed', 'reversed'], default: 'confirmed' },
+  acceptingBlueScore: { type: Number },    // KAS: blue score of the accepting block, once accepted
+  timestamp: { type: Date, default: Date.now },
+  confirmedAt: { type: Date },
+  reversedAt: { type: Date },
+  sweepId: { type: mongoose.Schema.Types.ObjectId }  // KAS moved to the treasury by this Sweep
 });
 
+// Envelope-encrypted custodial keys: each field is base64(iv | tag | ciphertext)
+const WalletSecretsSchema = new mongoose.Schema({
+  kekVersion: { type: Number, required: true },  // WALLET_KEK_V<n> that wraps the data key
+  wrappedKey: { type: String, required: true },  // per-user data key
+  xPrv:       { type: String, required: true },
+  mnemonic:   { type: String, required: true }
+}, { _id: false });
+
+// Account types:
+//   custodial     keys held here (encrypted), password login
+//   noncustodial  user keeps the mnemonic; only the xPub/address is stored, password login
+//   external      own wallet (KasWare, ...), logs in by signing a challenge
+function isCustodial() {
+  return this.accountType === 'custodial';
+}
+function hasPassword() {
+  return this.accountType !== 'external';
+}
+
 const UserSchema = new mongoose.Schema({
-  username:       { type: String, required: true, unique: true },
+  username:       { type: String, required: true, unique: true },  // external accounts: the address
   walletAddress:  { type: String, required: true, unique: true },
-  passwordHash:   { type: String, required: true },
-  xPrv:           { type: String, required: true },
-  mnemonic:       { type: String, required: true },
+  accountType:    { type: String, enum: ['custodial', 'noncustodial', 'external'], default: 'custodial' },
+  passwordHash:   { type: String, required: hasPassword },
+  xPub:           { type: String },   // account-level kpub (m/44'/111111'/0') of non-custodial wallets
+  // xPrv + mnemonic, envelope-encrypted (services/keyVault.js)
+  walletSecrets:  { type: WalletSecretsSchema, required: isCustodial, select: false },
+  // External / non-custodial accounts: where their deposits are credited, a
+  // wallet generated and held only here (services/depositAddressService.js).
+  // Its keys are never revealed, so the owner can't pay themselves from it.
+  // Custodial accounts are credited on walletAddress.
+  depositAddress: { type: String, unique: true, sparse: true },
+  depositSecrets: { type: WalletSecretsSchema, select: false },
   credits:        { type: Number, default: 0 },
-  generatedFiles: [GeneratedFileSchema],
-  
+
+  // Generated sites live in the Site / SiteRevision collections
+  // (scripts/migrateGeneratedFiles.js moves the old embedded copies)
+
+  // Ledger references of refunds already credited (see services/creditLedger.js)
+  appliedRefunds: { type: [String], default: [], select: false },
+
   // NEW: Array of processed deposit TXs
   processedTransactions: {
     type: [ProcessedTransactionSchema],
@@ -0,0 +1,37 @@
+// backend/models/Withdrawal.js
+
+const mongoose = require('mongoose');
+
+// KAS sent out of a custodial wallet against the credits its deposits granted.
+// Created by an estimate, executed by an explicit confirm. Sompi amounts are
+// strings (they overflow Number).
+const WithdrawalSchema = new mongoose.Schema({
+  walletAddress:  { type: String, required: true, index: true },
+  destination:    { type: String, required: true },
+  amountSompi:    { type: String, required: true },
+  feeSompi:       { type: String },        // estimate, then the actual fee once submitted
+  creditsDebited: { type: Number, default: 0 },
+  // KAS (amount + fee) taken from each of the wallet's deposits; counts
+  // while processing / submitted
+  allocations:    { type: [{ txid: String, amountSompi: String, _id: false }], default: [] },
+  status: {
+    type: String,
+    enum: ['estimated', 'processing', 'submitted', 'failed'],
+    default: 'estimated'
+  },
+  txids:          { type: [String], default: [] },
+  error:          { type: String },
+  expiresAt:      { type: Date },          // estimate can be confirmed until then
+  createdAt:      { type: Date, default: Date.now },
+  updatedAt:      { type: Date, default: Date.now },
+  submittedAt:    { type: Date }
+});
+
+// History, newest first
+WithdrawalSchema.index({ walletAddress: 1, createdAt: -1 });
+// Deposit scans skip our own transactions
+WithdrawalSchema.index({ txids: 1 });
+// Crash recovery: 'processing' rows nobody has touched for a while
+WithdrawalSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('Withdrawal', WithdrawalSchema);
@@ -0,0 +1,55 @@
+// backend/scripts/backfillDeposits.js
+//
+// Re-scans the whole KAS history of wallets' credit addresses for deposits
+// the scanner never reached (custodial wallets: older than the last 50
+// transactions before it paged), then resets their scan cursor to the
+// newest transaction. External / non-custodial accounts are credited only on
+// their deposit address, so their own wallet's history is not scanned.
+// Deposits already recorded are skipped, so it is safe to re-run.
+//
+//   npm run backfill-deposits -- kaspa:qr...  [kaspa:qz... ...]
+//   npm run backfill-deposits -- --all
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const { backfillKaspaDeposits } = require('../services/depositService');
+
+const ALL = process.argv.includes('--all');
+const ADDRESSES = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+async function main() {
+  if (!ALL && !ADDRESSES.length) {
+    console.error('Usage: npm run backfill-deposits -- <walletAddress...> | --all');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const addresses = ALL
+    ? (await User.find({}).select('walletAddress').lean()).map(user => user.walletAddress)
+    : ADDRESSES;
+  console.log(`Backfilling KAS deposits of ${addresses.length} wallet(s)...`);
+
+  const totals = { transactions: 0, recorded: 0, failed: 0 };
+  for (const walletAddress of addresses) {
+    try {
+      const { transactions, recorded } = await backfillKaspaDeposits(walletAddress);
+      totals.transactions += transactions;
+      totals.recorded += recorded;
+      console.log(`${walletAddress}: ${transactions} transactions, ${recorded} deposits recorded`);
+    } catch (err) {
+      totals.failed++;
+      console.error(`Failed to backfill ${walletAddress}:`, err.message);
+    }
+  }
+
+  console.log(`Done: ${totals.transactions} transactions scanned, ${totals.recorded} deposits recorded, ${totals.failed} failed.`);
+  await mongoose.disconnect();
+  process.exit(totals.failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Deposit backfill failed:', err);
+  process.exit(1);
+});
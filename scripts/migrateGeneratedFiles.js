@@ -0,0 +1,109 @@
+// backend/scripts/migrateGeneratedFiles.js
+//
+// One-off migration: moves the HTML copies embedded in user.generatedFiles
+// into Site / SiteRevision documents and unsets the array on the user.
+// Safe to re-run: copies already stored as a revision (same content) are
+// skipped, and a user's array is only removed once all of it was moved.
+//
+//   npm run migrate:generated-files            (migrate)
+//   npm run migrate:generated-files -- --dry-run
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Site = require('../models/Site');
+const SiteRevision = require('../models/SiteRevision');
+const { ensureSite, createRevision } = require('../services/siteService');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function migrateUser(user) {
+  const byRequest = new Map();
+  for (const file of user.generatedFiles) {
+    if (!file || !file.requestId || !file.content) continue;
+    if (!byRequest.has(file.requestId)) byRequest.set(file.requestId, []);
+    byRequest.get(file.requestId).push(file);
+  }
+
+  const stats = { sites: 0, revisions: 0, skipped: 0, failed: 0 };
+  for (const [requestId, files] of byRequest) {
+    files.sort((a, b) => new Date(a.generatedAt || 0) - new Date(b.generatedAt || 0));
+    stats.sites++;
+    if (DRY_RUN) {
+      stats.revisions += files.length;
+      continue;
+    }
+
+    const site = await ensureSite(requestId, user.walletAddress);
+    if (site.walletAddress !== user.walletAddress) {
+      console.warn(`Site ${requestId} belongs to ${site.walletAddress}, not ${user.walletAddress}; skipped.`);
+      stats.failed++;
+      continue;
+    }
+    // Copies older than the site's existing history must not replace its current revision
+    const makeCurrent = site.currentRevision === 0;
+
+    for (const file of files) {
+      const duplicate = await SiteRevision.exists({ siteId: site._id, content: file.content });
+      if (duplicate) {
+        stats.skipped++;
+        continue;
+      }
+      await createRevision(site, {
+        content: file.content,
+        author: user.walletAddress,
+        source: 'migration',
+        message: 'Migrated from user.generatedFiles',
+        createdAt: file.generatedAt ? new Date(file.generatedAt) : new Date(),
+        makeCurrent
+      });
+      stats.revisions++;
+    }
+
+    const first = files[0].generatedAt;
+    if (first) {
+      await Site.updateOne({ _id: site._id, createdAt: { $gt: first } }, { $set: { createdAt: first } });
+    }
+  }
+
+  if (!DRY_RUN && stats.failed === 0) {
+    await User.collection.updateOne({ _id: user._id }, { $unset: { generatedFiles: '' } });
+  }
+  return stats;
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`Migrating user.generatedFiles${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  // Raw collection: generatedFiles is no longer part of the User schema
+  const cursor = User.collection.find(
+    { 'generatedFiles.0': { $exists: true } },
+    { projection: { walletAddress: 1, generatedFiles: 1 } }
+  );
+  const totals = { users: 0, sites: 0, revisions: 0, skipped: 0, failed: 0 };
+
+  for await (const user of cursor) {
+    try {
+      const stats = await migrateUser(user);
+      totals.users++;
+      Object.keys(stats).forEach(key => { totals[key] += stats[key]; });
+    } catch (err) {
+      totals.failed++;
+      console.error(`Failed to migrate ${user.walletAddress}:`, err.message);
+    }
+  }
+
+  console.log(
+    `Done: ${totals.users} users, ${totals.sites} sites, ${totals.revisions} revisions` +
+    ` (${totals.skipped} already stored, ${totals.failed} failed).`
+  );
+  await mongoose.disconnect();
+  process.exit(totals.failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+// backend/scripts/rotateWalletKeys.js
+//
+// Brings every custodial wallet and deposit address onto the current KEK
+// (WALLET_KEK_CURRENT):
+//   - legacy plaintext xPrv / mnemonic fields are encrypted and removed
+//   - data keys wrapped by an older KEK version are re-wrapped
+// Idempotent; run after adding a KEK version or on first deploy of
+// envelope encryption.
+//
+//   npm run rotate-wallet-keys
+//   npm run rotate-wallet-keys -- --dry-run
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const { currentKekVersion, sealWalletSecrets, rewrapWalletSecrets } = require('../services/keyVault');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  const kekVersion = currentKekVersion();
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`Rotating wallet keys to KEK v${kekVersion}${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  // Raw collection: the plaintext fields are no longer in the User schema
+  const cursor = User.collection.find(
+    {
+      $or: [
+        { xPrv: { $exists: true } },
+        { mnemonic: { $exists: true } },
+        { walletSecrets: { $exists: true }, 'walletSecrets.kekVersion': { $ne: kekVersion } }
+      ]
+    },
+    { projection: { walletAddress: 1, xPrv: 1, mnemonic: 1, walletSecrets: 1 } }
+  );
+
+  const totals = { encrypted: 0, rewrapped: 0, failed: 0 };
+  for await (const user of cursor) {
+    try {
+      if (user.xPrv || user.mnemonic) {
+        if (user.walletSecrets) {
+          // Already encrypted earlier; only the plaintext leftovers remain
+          if (!DRY_RUN) {
+            await User.collection.updateOne({ _id: user._id }, { $unset: { xPrv: '', mnemonic: '' } });
+          }
+        } else {
+          const walletSecrets = sealWalletSecrets(user.walletAddress, {
+            xPrv: user.xPrv || '',
+            mnemonic: user.mnemonic || ''
+          });
+          if (!DRY_RUN) {
+            await User.collection.updateOne(
+              { _id: user._id },
+              { $set: { walletSecrets }, $unset: { xPrv: '', mnemonic: '' } }
+            );
+          }
+        }
+        totals.encrypted++;
+        continue;
+      }
+
+      const walletSecrets = rewrapWalletSecrets(user.walletAddress, user.walletSecrets);
+      if (walletSecrets && !DRY_RUN) {
+        // Only if nobody rotated it in the meantime
+        await User.collection.updateOne(
+          { _id: user._id, 'walletSecrets.wrappedKey': user.walletSecrets.wrappedKey },
+          { $set: { walletSecrets } }
+        );
+      }
+      if (walletSecrets) totals.rewrapped++;
+    } catch (err) {
+      totals.failed++;
+      console.error(`Failed to rotate keys of ${user.walletAddress}:`, err.message);
+    }
+  }
+
+  // Deposit addresses were always sealed; they only need re-wrapping
+  const deposits = User.collection.find(
+    { depositSecrets: { $exists: true }, 'depositSecrets.kekVersion': { $ne: kekVersion } },
+    { projection: { walletAddress: 1, depositAddress: 1, depositSecrets: 1 } }
+  );
+  for await (const user of deposits) {
+    try {
+      const depositSecrets = rewrapWalletSecrets(user.depositAddress, user.depositSecrets);
+      if (depositSecrets && !DRY_RUN) {
+        await User.collection.updateOne(
+          { _id: user._id, 'depositSecrets.wrappedKey': user.depositSecrets.wrappedKey },
+          { $set: { depositSecrets } }
+        );
+      }
+      if (depositSecrets) totals.rewrapped++;
+    } catch (err) {
+      totals.failed++;
+      console.error(`Failed to rotate deposit keys of ${user.walletAddress}:`, err.message);
+    }
+  }
+
+  console.log(`Done: ${totals.encrypted} encrypted, ${totals.rewrapped} re-wrapped, ${totals.failed} failed.`);
+  await mongoose.disconnect();
+  process.exit(totals.failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Key rotation failed:', err);
+  process.exit(1);
+});
@@ -5,12 +5,35 @@ const bodyParser = require('body-parser');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
-const fetch = require('node-fetch');
+const WebSocketServer = require('websocket').server;
 
-const { createWallet } = require('./wasm_rpc');
+const { createWallet, walletFromMnemonic, addressesFromXPub, isValidAddress, verifySignedMessage } = require('./wasm_rpc');
 const User = require('./models/User');
-// Only fetchAndProcessUserDeposits, no initDepositSchedulers
-const { fetchAndProcessUserDeposits } = require('./services/depositService');
+// On-demand deposit scans, no initDepositSchedulers
+const { fetchAndProcessUserDeposits, listPendingDeposits } = require('./services/depositService');
+const { ensureDepositAddress } = require('./services/depositAddressService');
+const jobs = require('./services/generationJobService');
+const { callLLM } = require('./services/llmService');
+const { getStoredImage, absolutizeImages } = require('./services/imageService');
+const jobEvents = require('./services/jobEvents');
+const ledger = require('./services/creditLedger');
+const auth = require('./services/authService');
+const { sealWalletSecrets, openWalletSecrets } = require('./services/keyVault');
+const { rateLimit } = require('./services/rateLimiter');
+const withdrawals = require('./services/withdrawalService');
+const paymentAssets = require('./services/paymentAssetService');
+const siteDocument = require('./services/siteDocument');
+const {
+  findSite,
+  listSitesPage,
+  loadSiteContent,
+  mergeRegeneratedSection,
+  saveSiteRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('./services/siteService');
 
 const app = express();
 
@@ -33,78 +56,168 @@ app.use(cors({
     }
     return callback(null, true);
   },
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Admin-Key"]
 }));
 app.use(bodyParser.json());
+// Behind the Heroku router: req.ip is the client from X-Forwarded-For
+app.set('trust proxy', 1);
 
 // ------------------ Connect to MongoDB ------------------
 mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  jobEvents.startTailing();
+  paymentAssets.ensureDefaultAssets()
+    .catch(err => console.error('Failed to seed payment assets:', err.message));
+})
 .catch(err => {
   console.error('Failed to connect to MongoDB:', err);
   process.exit(1);
 });
 
-/**
- * Create another OpenAI client for DALL·E 3 images
- * (Uses the official OpenAI API for images.)
- */
-const { Configuration, OpenAIApi } = require('openai');
-const openaiImagesConfig = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-  baseURL: "https://api.openai.com/v1"
-});
-const openaiImages = new OpenAIApi(openaiImagesConfig);
-
 /**************************************************
- * In-Memory
+ * Helpers
  **************************************************/
-const progressMap = {};
 function generateRequestId(){
   return crypto.randomBytes(8).toString('hex');
 }
 function sanitizeFilename(name){
   return name.replace(/[^a-zA-Z0-9_-]/g, "_");
 }
+// Works for express requests and raw http requests (WebSocket upgrades)
+function publicBaseUrl(req){
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL;
+  const forwarded = req.headers['x-forwarded-proto'];
+  const proto = forwarded ? forwarded.split(',')[0].trim() : (req.socket.encrypted ? 'https' : 'http');
+  return `${proto}://${req.headers.host}`;
+}
+function applyImages(code, storedImages, req){
+  const images = absolutizeImages(storedImages, publicBaseUrl(req));
+  let finalCode = code;
+  if (images.navLogo) {
+    finalCode = finalCode.replace(/NAV_IMAGE_PLACEHOLDER/g, images.navLogo);
+  }
+  if (images.heroBg) {
+    finalCode = finalCode.replace(/HERO_BG_PLACEHOLDER/g, images.heroBg);
+  }
+  if (images.footerImg) {
+    finalCode = finalCode.replace(/FOOTER_IMAGE_PLACEHOLDER/g, images.footerImg);
+  }
+  return finalCode;
+}
 
 /**************************************************
- * QWEN HELPER (direct fetch)
- * We'll manually call the Qwen endpoint with a
- * POST request. The body is "OpenAI-compatible."
+ * Auth: wallet-scoped routes need the session token
+ * from /connect-wallet (or /create-wallet) as
+ * `Authorization: Bearer <token>`. The session decides
+ * the wallet; a walletAddress sent along must match.
  **************************************************/
-async function callQwen(model, messages, options = {}) {
-  // Qwen endpoint
-  const url = "https://dashscope-intl.aliyuncs.com/compatible-mode/v1/chat/completions";
-  const apiKey = process.env.DASHSCOPE_API_KEY; // must be set in Heroku env
+function requireAuth({ allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const session = await auth.resolveSession(auth.tokenFromRequest(req, allowQueryToken));
+      if (!session) {
+        return res.status(401).json({ success: false, error: "Authentication required." });
+      }
+      const claimed = (req.body && req.body.walletAddress) || req.query.walletAddress;
+      if (claimed && claimed !== session.walletAddress) {
+        return res.status(403).json({ success: false, error: "walletAddress does not match the session." });
+      }
+      req.walletAddress = session.walletAddress;
+      return next();
+    } catch (err) {
+      console.error("Error checking session:", err);
+      return res.status(500).json({ success: false, error: "Internal server error." });
+    }
+  };
+}
+const authenticated = requireAuth();
+// EventSource / download links can't set headers: also accept ?token=
+const authenticatedByQuery = requireAuth({ allowQueryToken: true });
 
-  const body = {
-    model,
-    messages,
-    ...options
+/**************************************************
+ * Admin routes: `X-Admin-Key: <ADMIN_API_KEY>`.
+ * They don't exist while ADMIN_API_KEY is unset.
+ **************************************************/
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(404).json({ success: false, error: "Not found." });
+  }
+  // Hash both so the comparison is constant-time whatever the lengths
+  const given = crypto.createHash('sha256').update(req.get('X-Admin-Key') || '').digest();
+  if (!crypto.timingSafeEqual(given, crypto.createHash('sha256').update(expected).digest())) {
+    return res.status(401).json({ success: false, error: "Invalid admin key." });
+  }
+  return next();
+}
+
+// The job, if it exists and belongs to walletAddress
+async function getOwnedJob(requestId, walletAddress) {
+  const job = await jobs.getJob(requestId);
+  return job && job.walletAddress === walletAddress ? job : null;
+}
+
+/**************************************************
+ * Live job stream (shared by SSE and WebSocket)
+ * Sends a snapshot (incl. partialCode so far), relays
+ * worker events (stage, progress, delta) and ends with
+ * result or error. A 'started' stage means a (re)try
+ * began: clients should reset their partial buffer.
+ * Returns a function that stops the stream.
+ **************************************************/
+async function streamJob(requestId, req, send, close) {
+  let closed = false;
+  let unsubscribe = () => {};
+  const stop = () => {
+    closed = true;
+    unsubscribe();
+  };
+  const finish = async (status) => {
+    if (closed) return;
+    stop();
+    if (status === 'done') {
+      const job = await jobs.getJob(requestId);
+      send('result', { status: 'done', progress: 100, code: applyImages(job.code, job.images, req) });
+    } else {
+      const job = await jobs.getJob(requestId);
+      send('error', { status: 'error', progress: 100, error: (job && job.error) || "Generation error." });
+    }
+    close();
   };
 
-  // POST request via node-fetch
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
+  // Subscribe before the snapshot so nothing falls in between
+  unsubscribe = jobEvents.subscribe(requestId, (event) => {
+    if (closed) return;
+    if (event.type === 'done' || event.type === 'error') {
+      finish(event.type).catch(err => console.error("Job stream error:", err));
+      return;
+    }
+    send(event.type, event.data);
   });
 
-  if (!response.ok) {
-    // attempt to parse the error body
-    const errText = await response.text();
-    throw new Error(`Qwen API error (${response.status}): ${errText}`);
+  const job = await jobs.getJob(requestId);
+  if (!job) {
+    stop();
+    send('error', { error: "Invalid or missing requestId" });
+    close();
+    return stop;
   }
-
-  const data = await response.json();
-  return data;
+  if (job.status === 'done' || job.status === 'error') {
+    await finish(job.status);
+    return stop;
+  }
+  send('snapshot', {
+    status: job.status === 'queued' ? 'in-progress' : job.status,
+    stage: job.stage,
+    progress: job.progress,
+    partialCode: job.partialCode || ''
+  });
+  return stop;
 }
 
 /**************************************************
@@ -117,10 +230,11 @@ app.get('/', (req, res) => {
 /**************************************************
  * POST /start-generation (1 credit)
  **************************************************/
-app.post('/start-generation', async (req, res) => {
-  const { walletAddress, userInputs } = req.body;
-  if (!walletAddress || !userInputs) {
-    return res.status(400).json({ error: "walletAddress and userInputs are required." });
+app.post('/start-generation', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
+  const { userInputs } = req.body;
+  if (!userInputs) {
+    return res.status(400).json({ error: "userInputs are required." });
   }
   const { coinName, colorPalette, projectType, themeSelection, projectDesc } = userInputs;
   if (!projectType || !['nft', 'token'].includes(projectType.toLowerCase())) {
@@ -141,22 +255,16 @@ app.post('/start-generation', async (req, res) => {
       return res.status(400).json({ error: "Insufficient credits or invalid wallet address." });
     }
 
+    // Queue the job; the worker process (worker.js) picks it up
     const requestId = generateRequestId();
-    progressMap[requestId] = {
-      status: 'in-progress',
-      progress: 0,
-      code: null,
-      images: {}
-    };
-
-    doWebsiteGeneration(requestId, userInputs, user).catch(err => {
-      console.error("Background generation error:", err);
-      progressMap[requestId].status = 'error';
-      progressMap[requestId].progress = 100;
-      // Refund credit
-      User.findOneAndUpdate({ walletAddress }, { $inc: { credits: 1 } })
-      .catch(refundErr => console.error("Failed to refund credit:", refundErr));
-    });
+    await ledger.recordCharge(walletAddress, 1, `job:${requestId}`, "Website generation");
+    try {
+      await jobs.enqueueJob({ requestId, walletAddress, userInputs });
+    } catch (createErr) {
+      // Job was never recorded => give the credit straight back
+      await ledger.refund(walletAddress, 1, `job:${requestId}`, "Failed to queue generation");
+      throw createErr;
+    }
 
     return res.json({ requestId });
   } catch (err) {
@@ -168,65 +276,153 @@ app.post('/start-generation', async (req, res) => {
 /**************************************************
  * GET /progress?requestId=XYZ
  **************************************************/
-app.get('/progress', (req, res) => {
+app.get('/progress', authenticated, async (req, res) => {
   const { requestId } = req.query;
-  if (!requestId || !progressMap[requestId]) {
-    return res.status(400).json({ error: "Invalid or missing requestId" });
+  try {
+    const job = await getOwnedJob(requestId, req.walletAddress);
+    if (!job) {
+      return res.status(400).json({ error: "Invalid or missing requestId" });
+    }
+    // Waiting in the queue still reads as 'in-progress' to existing clients
+    const queued = job.status === 'queued';
+    const status = queued ? 'in-progress' : job.status;
+    return res.json({ status, progress: job.progress, queued });
+  } catch (err) {
+    console.error("Error fetching progress:", err);
+    return res.status(500).json({ error: "Internal server error." });
   }
-  const { status, progress } = progressMap[requestId];
-  return res.json({ status, progress });
 });
 
 /**************************************************
- * GET /result?requestId=XYZ
+ * GET /progress-stream?requestId=XYZ  (Server-Sent Events)
  **************************************************/
-app.get('/result', (req, res) => {
+app.get('/progress-stream', authenticatedByQuery, async (req, res) => {
   const { requestId } = req.query;
-  if (!requestId || !progressMap[requestId]) {
-    return res.status(400).json({ error: "Invalid or missing requestId" });
-  }
-  const { status, code, images } = progressMap[requestId];
-  if (status !== 'done') {
-    return res.status(400).json({ error: "Not finished or generation error." });
+  try {
+    if (!await getOwnedJob(requestId, req.walletAddress)) {
+      return res.status(400).json({ error: "Invalid or missing requestId" });
+    }
+  } catch (err) {
+    console.error("Error in progress-stream:", err);
+    return res.status(500).json({ error: "Internal server error." });
   }
-  let finalCode = code;
-  if (images.navLogo) {
-    finalCode = finalCode.replace(/NAV_IMAGE_PLACEHOLDER/g, images.navLogo);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  req.setTimeout(0);
+
+  // Comment lines keep the connection open past router idle timeouts
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+  let stop = () => {};
+  let disconnected = false;
+  const close = () => {
+    clearInterval(keepAlive);
+    res.end();
+  };
+  req.on('close', () => {
+    disconnected = true;
+    clearInterval(keepAlive);
+    stop();
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  try {
+    stop = await streamJob(requestId, req, send, close);
+    if (disconnected) stop();
+  } catch (err) {
+    console.error("Error in progress-stream:", err);
+    send('error', { error: "Internal server error." });
+    close();
   }
-  if (images.heroBg) {
-    finalCode = finalCode.replace(/HERO_BG_PLACEHOLDER/g, images.heroBg);
+});
+
+/**************************************************
+ * GET /wallet/events  (Server-Sent Events)
+ * Live account notifications, e.g. 'deposit'
+ * { status: 'pending'|'credited'|'reversed', coinType, txid, amount }
+ **************************************************/
+app.get('/wallet/events', authenticatedByQuery, (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  req.setTimeout(0);
+
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = jobEvents.subscribe(jobEvents.walletChannel(req.walletAddress), (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+/**************************************************
+ * GET /result?requestId=XYZ
+ **************************************************/
+app.get('/result', authenticated, async (req, res) => {
+  const { requestId } = req.query;
+  try {
+    const job = await getOwnedJob(requestId, req.walletAddress);
+    if (!job) {
+      return res.status(400).json({ error: "Invalid or missing requestId" });
+    }
+    if (job.status !== 'done') {
+      return res.status(400).json({ error: "Not finished or generation error." });
+    }
+    return res.json({ code: applyImages(job.code, job.images, req) });
+  } catch (err) {
+    console.error("Error fetching result:", err);
+    return res.status(500).json({ error: "Internal server error." });
   }
-  if (images.footerImg) {
-    finalCode = finalCode.replace(/FOOTER_IMAGE_PLACEHOLDER/g, images.footerImg);
+});
+
+/**************************************************
+ * GET /images/:id  (logo / hero generated for a site)
+ **************************************************/
+app.get('/images/:id', async (req, res) => {
+  try {
+    const image = await getStoredImage(req.params.id);
+    if (!image) {
+      return res.status(404).json({ error: "Image not found." });
+    }
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    return res.send(image.data.buffer ? Buffer.from(image.data.buffer) : image.data);
+  } catch (err) {
+    console.error("Error serving image:", err);
+    return res.status(500).json({ error: "Internal server error." });
   }
-  return res.json({ code: finalCode });
 });
 
 /**************************************************
  * GET /export?requestId=XYZ&type=full|wordpress
  **************************************************/
-app.get('/export', (req, res) => {
+app.get('/export', authenticatedByQuery, async (req, res) => {
   const { requestId, type } = req.query;
-  if (!requestId || !progressMap[requestId]) {
+  let job;
+  try {
+    job = await getOwnedJob(requestId, req.walletAddress);
+  } catch (err) {
+    console.error("Error fetching export:", err);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+  if (!job) {
     return res.status(400).json({ error: "Invalid or missing requestId" });
   }
-  const { status, code, images } = progressMap[requestId];
-  if (status !== 'done') {
+  if (job.status !== 'done') {
     return res.status(400).json({ error: "Generation not completed or encountered an error." });
   }
   if (!type || !['full', 'wordpress'].includes(type)) {
     return res.status(400).json({ error: "Invalid or missing export type. Use 'full' or 'wordpress'." });
   }
-  let finalCode = code;
-  if (images.navLogo) {
-    finalCode = finalCode.replace(/NAV_IMAGE_PLACEHOLDER/g, images.navLogo);
-  }
-  if (images.heroBg) {
-    finalCode = finalCode.replace(/HERO_BG_PLACEHOLDER/g, images.heroBg);
-  }
-  if (images.footerImg) {
-    finalCode = finalCode.replace(/FOOTER_IMAGE_PLACEHOLDER/g, images.footerImg);
-  }
+  const finalCode = applyImages(job.code, job.images, req);
   const filename = sanitizeFilename(requestId);
   if (type === 'full') {
     res.setHeader('Content-Type', 'text/html');
@@ -252,19 +448,28 @@ ${finalCode}
 });
 
 /**************************************************
- * GET /get-credits?walletAddress=XYZ
+ * GET /get-credits
+ * => { credits, pendingCredits, pendingDeposits, depositAddress }
+ * Pending deposits are seen on-chain but not deep
+ * enough yet; they are not spendable. Payments are
+ * only credited when sent to `depositAddress` (the
+ * wallet itself for custodial accounts).
  **************************************************/
-app.get('/get-credits', async (req, res) => {
-  const { walletAddress } = req.query;
-  if (!walletAddress) {
-    return res.status(400).json({ success: false, error: "walletAddress is required." });
-  }
+app.get('/get-credits', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
   try {
     const user = await User.findOne({ walletAddress });
     if (!user) {
       return res.status(400).json({ success: false, error: "Invalid wallet address." });
     }
-    return res.json({ success: true, credits: user.credits });
+    const pendingDeposits = await listPendingDeposits(walletAddress);
+    return res.json({
+      success: true,
+      credits: user.credits,
+      pendingCredits: pendingDeposits.reduce((sum, d) => sum + d.credits, 0),
+      pendingDeposits,
+      depositAddress: await ensureDepositAddress(walletAddress)
+    });
   } catch (err) {
     console.error("Error fetching credits:", err);
     return res.status(500).json({ success: false, error: "Internal server error." });
@@ -273,18 +478,60 @@ app.get('/get-credits', async (req, res) => {
 
 /**************************************************
  * POST /create-wallet
+ * { username, password, custody?: 'custodial' | 'noncustodial',
+ *   xPub?, nonce?, publicKey?, signature? }
+ *
+ * custodial (default): keys are kept (encrypted) here.
+ * noncustodial: only the account xPub + address are
+ * stored. Without `xPub` a wallet is generated and its
+ * mnemonic returned ONCE in this response; with an
+ * `xPub` (derived client-side) no secret ever reaches
+ * the server, and ownership is proven by signing a
+ * purpose 'register' /auth/challenge for the xPub's
+ * receive address (nonce, publicKey, signature).
+ * Credits are bought by paying the returned
+ * `depositAddress`: the wallet itself when custodial,
+ * otherwise a wallet only this service holds.
  **************************************************/
 app.post('/create-wallet', async (req, res) => {
-  const { username, password } = req.body;
+  const { username, password, custody = 'custodial', xPub, nonce, publicKey, signature } = req.body;
   if (!username || !password) {
     return res.status(400).json({ success: false, error: "Username and password are required." });
   }
+  if (!['custodial', 'noncustodial'].includes(custody)) {
+    return res.status(400).json({ success: false, error: "custody must be 'custodial' or 'noncustodial'." });
+  }
+  if (xPub && custody !== 'noncustodial') {
+    return res.status(400).json({ success: false, error: "xPub is only accepted for noncustodial wallets." });
+  }
+  if (xPub && (!nonce || !publicKey || !signature)) {
+    return res.status(400).json({ success: false, error: "An xPub needs nonce, publicKey and signature (see /auth/challenge)." });
+  }
   try {
     const existingUser = await User.findOne({ username });
     if (existingUser) {
       return res.status(400).json({ success: false, error: "Username already exists. Please choose another one." });
     }
-    const walletData = await createWallet();
+
+    let walletData;
+    if (xPub) {
+      try {
+        walletData = { success: true, xPub, ...addressesFromXPub(xPub) };
+      } catch (err) {
+        return res.status(400).json({ success: false, error: "Invalid xPub." });
+      }
+      // The xPub's receive key must have signed a 'register' challenge
+      const address = walletData.receivingAddress;
+      const challenge = await auth.consumeLoginChallenge(nonce, address, 'register');
+      if (!challenge) {
+        return res.status(400).json({ success: false, error: "Challenge expired or unknown. Request a new one." });
+      }
+      if (!verifySignedMessage({ address, publicKey, message: challenge.message, signature })) {
+        return res.status(401).json({ success: false, error: "Signature does not match the xPub's receive address." });
+      }
+    } else {
+      walletData = await createWallet();
+    }
     if (!walletData.success) {
       return res.status(500).json({ success: false, error: "Wallet creation failed." });
     }
@@ -295,18 +542,39 @@ app.post('/create-wallet', async (req, res) => {
     const newUser = new User({
       username,
       walletAddress: receivingAddress,
+      accountType: custody,
       passwordHash,
-      xPrv,
-      mnemonic,
-      credits: 1,
-      generatedFiles: []
+      credits: 1
     });
+    if (custody === 'custodial') {
+      newUser.walletSecrets = sealWalletSecrets(receivingAddress, { xPrv, mnemonic });
+    } else {
+      newUser.xPub = walletData.xPub;
+    }
     await newUser.save();
-    return res.json({ success: true, walletAddress: receivingAddress });
+    const session = await auth.createSession(receivingAddress, req.headers['user-agent']);
+    const response = {
+      success: true,
+      walletAddress: receivingAddress,
+      depositAddress: await ensureDepositAddress(receivingAddress),
+      accountType: custody,
+      token: session.token,
+      expiresAt: session.expiresAt
+    };
+    if (custody === 'noncustodial' && !xPub) {
+      // Not stored anywhere: the user must write it down now
+      response.mnemonic = mnemonic;
+      response.xPub = walletData.xPub;
+      res.setHeader('Cache-Control', 'no-store');
+    }
+    return res.json(response);
   } catch (err) {
     if (err.code === 11000 && err.keyPattern && err.keyPattern.username) {
       return res.status(400).json({ success: false, error: "Username already exists. Please choose another one." });
     }
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.walletAddress) {
+      return res.status(400).json({ success: false, error: "This wallet is already registered." });
+    }
     console.error("Error creating wallet:", err);
     return res.status(500).json({ success: false, error: "Internal server error." });
   }
@@ -325,64 +593,382 @@ app.post('/connect-wallet', async (req, res) => {
     if (!user) {
       return res.status(400).json({ success: false, error: "Invalid wallet address or password." });
     }
+    if (user.accountType === 'external') {
+      return res.status(400).json({ success: false, error: "This wallet signs in with message signing (/auth/challenge)." });
+    }
     const match = await bcrypt.compare(password, user.passwordHash);
     if (!match) {
       return res.status(400).json({ success: false, error: "Invalid wallet address or password." });
     }
-    return res.json({
-      success: true,
-      username: user.username,
-      walletAddress: user.walletAddress,
-      credits: user.credits,
-      generatedFiles: user.generatedFiles
-    });
+    return res.json(await loginResponse(user, req));
   } catch (err) {
     console.error("Error connecting wallet:", err);
     return res.status(500).json({ success: false, error: "Internal server error." });
   }
 });
 
+// New session + account overview, shared by every login route
+async function loginResponse(user, req) {
+  const session = await auth.createSession(user.walletAddress, req.headers['user-agent']);
+  // First page of sites; more via /get-user-generations?cursor=
+  const sites = await listSitesPage(user.walletAddress);
+  return {
+    success: true,
+    token: session.token,
+    expiresAt: session.expiresAt,
+    username: user.username,
+    walletAddress: user.walletAddress,
+    depositAddress: await ensureDepositAddress(user.walletAddress),
+    accountType: user.accountType,
+    credits: user.credits,
+    generatedFiles: withThumbnailUrls(sites.items, req),
+    nextCursor: sites.nextCursor
+  };
+}
+
 /**************************************************
- * POST /scan-deposits
+ * POST /auth/challenge { address, purpose? }
+ * Sign-in with an external Kaspa wallet, step 1:
+ * returns a one-time message for the wallet to sign
+ * (e.g. kasware.signMessage(message)).
+ * purpose 'register': proof of key ownership for a
+ * noncustodial /create-wallet with an xPub (address =
+ * the xPub's receive address).
+ **************************************************/
+app.post('/auth/challenge', async (req, res) => {
+  const { address, purpose = 'login' } = req.body;
+  if (!isValidAddress(address)) {
+    return res.status(400).json({ success: false, error: "A valid kaspa: address is required." });
+  }
+  if (!['login', 'register'].includes(purpose)) {
+    return res.status(400).json({ success: false, error: "purpose must be 'login' or 'register'." });
+  }
+  try {
+    const challenge = await auth.createLoginChallenge(address, purpose);
+    return res.json({ success: true, ...challenge });
+  } catch (err) {
+    console.error("Error creating login challenge:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+/**************************************************
+ * POST /auth/verify { address, nonce, publicKey, signature }
+ * Step 2: checks the signature against the address
+ * and logs in, creating an external (non-custodial)
+ * account on first sign-in.
+ **************************************************/
+app.post('/auth/verify', async (req, res) => {
+  const { address, nonce, publicKey, signature } = req.body;
+  if (!address || !nonce || !publicKey || !signature) {
+    return res.status(400).json({ success: false, error: "address, nonce, publicKey and signature are required." });
+  }
+  try {
+    const challenge = await auth.consumeLoginChallenge(nonce, address);
+    if (!challenge) {
+      return res.status(400).json({ success: false, error: "Challenge expired or unknown. Request a new one." });
+    }
+    const valid = verifySignedMessage({ address, publicKey, message: challenge.message, signature });
+    if (!valid) {
+      return res.status(401).json({ success: false, error: "Signature does not match the address." });
+    }
+
+    // Custodial accounts may sign in this way too: the signature proves key ownership.
+    // New external accounts start without the custodial sign-up credit.
+    const user = await User.findOneAndUpdate(
+      { walletAddress: address },
+      {
+        $setOnInsert: {
+          username: address,
+          walletAddress: address,
+          accountType: 'external',
+          credits: 0,
+          createdAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+    return res.json(await loginResponse(user, req));
+  } catch (err) {
+    console.error("Error verifying login signature:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+/**************************************************
+ * POST /logout  (ends the current session)
  **************************************************/
-app.post('/scan-deposits', async (req, res) => {
-  const { walletAddress } = req.body;
-  if (!walletAddress) {
-    return res.status(400).json({ success: false, error: "Missing walletAddress" });
+app.post('/logout', authenticated, async (req, res) => {
+  try {
+    await auth.revokeSession(auth.tokenFromRequest(req));
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("Error logging out:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
   }
+});
+
+/**************************************************
+ * POST /wallet/reveal-phrase { password }
+ * Recovery phrase + xPrv of a custodial wallet, after
+ * re-entering the password. 3 attempts per hour.
+ **************************************************/
+const RECOVERY_WINDOW_MS = 60 * 60 * 1000;
+
+app.post('/wallet/reveal-phrase',
+  authenticated,
+  rateLimit('reveal', { limit: 3, windowMs: RECOVERY_WINDOW_MS, keyFn: req => req.walletAddress }),
+  async (req, res) => {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ success: false, error: "Password is required." });
+    }
+    try {
+      const user = await User.findOne({ walletAddress: req.walletAddress }).select('+walletSecrets');
+      if (!user || user.accountType !== 'custodial') {
+        return res.status(400).json({ success: false, error: "Only custodial wallets have a stored recovery phrase." });
+      }
+      const match = await bcrypt.compare(password, user.passwordHash);
+      if (!match) {
+        return res.status(401).json({ success: false, error: "Invalid password." });
+      }
+      const { mnemonic, xPrv } = openWalletSecrets(user.walletAddress, user.walletSecrets);
+      console.log(`Recovery phrase revealed for ${user.walletAddress}`);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.json({ success: true, mnemonic, xPrv });
+    } catch (err) {
+      console.error("Error revealing recovery phrase:", err);
+      return res.status(500).json({ success: false, error: "Internal server error." });
+    }
+  }
+);
+
+/**************************************************
+ * POST /auth/recover { walletAddress, mnemonic, newPassword }
+ * Forgotten password: the phrase must re-derive the
+ * wallet's receive address (m/44'/111111'/0'/0/0).
+ * Every existing session is ended. 5 attempts per hour
+ * per client IP and wallet (a per-wallet limit would let
+ * anyone lock the owner out of recovery).
+ **************************************************/
+app.post('/auth/recover',
+  rateLimit('recover', {
+    limit: 5,
+    windowMs: RECOVERY_WINDOW_MS,
+    keyFn: req => `${req.ip}:${String(req.body.walletAddress)}`
+  }),
+  async (req, res) => {
+    const { walletAddress, mnemonic, newPassword } = req.body;
+    if (!walletAddress || !mnemonic || !newPassword) {
+      return res.status(400).json({ success: false, error: "walletAddress, mnemonic and newPassword are required." });
+    }
+    try {
+      const user = await User.findOne({ walletAddress });
+      const wallet = walletFromMnemonic(mnemonic);
+      // Same answer for unknown wallets and wrong phrases
+      if (!user || user.accountType === 'external' || !wallet.success || wallet.receivingAddress !== walletAddress) {
+        return res.status(400).json({ success: false, error: "Recovery phrase does not match this wallet." });
+      }
+
+      const saltRounds = 10;
+      user.passwordHash = await bcrypt.hash(newPassword, saltRounds);
+      await user.save();
+      await auth.revokeAllSessions(walletAddress);
+      console.log(`Password reset by recovery phrase for ${walletAddress}`);
+      return res.json(await loginResponse(user, req));
+    } catch (err) {
+      console.error("Error recovering account:", err);
+      return res.status(500).json({ success: false, error: "Internal server error." });
+    }
+  }
+);
+
+/**************************************************
+ * POST /scan-deposits
+ **************************************************/
+app.post('/scan-deposits', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
   try {
+    await ensureDepositAddress(walletAddress);
     await fetchAndProcessUserDeposits(walletAddress);
     const user = await User.findOne({ walletAddress });
     if (!user) {
       return res.status(404).json({ success: false, error: "User not found" });
     }
-    return res.json({ success: true, credits: user.credits });
+    const pendingDeposits = await listPendingDeposits(walletAddress);
+    return res.json({
+      success: true,
+      credits: user.credits,
+      pendingCredits: pendingDeposits.reduce((sum, d) => sum + d.credits, 0)
+    });
   } catch (err) {
     console.error("Error scanning deposits on demand:", err);
     return res.status(500).json({ success: false, error: "Failed to scan deposits" });
   }
 });
 
+/**************************************************
+ * KAS withdrawals (custodial accounts, from the user's
+ * own unswept KAS deposits)
+ * POST /withdrawals/estimate { destination, amount }
+ *   => fee + credits needed; valid for 10 minutes
+ * POST /withdrawals/:id/confirm { password }
+ *   => signs and submits; debits amount + fee in credits
+ * GET  /withdrawals  (history)
+ **************************************************/
+function sendWithdrawalError(res, err, label) {
+  if (err instanceof withdrawals.WithdrawalError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`Error in ${label}:`, err);
+  return res.status(500).json({ success: false, error: "Internal server error." });
+}
+
+app.post('/withdrawals/estimate', authenticated, async (req, res) => {
+  const { destination, amount } = req.body;
+  if (!destination || amount === undefined) {
+    return res.status(400).json({ success: false, error: "destination and amount are required." });
+  }
+  try {
+    const withdrawal = await withdrawals.estimateWithdrawal(req.walletAddress, destination, amount);
+    return res.json({ success: true, withdrawal });
+  } catch (err) {
+    return sendWithdrawalError(res, err, "/withdrawals/estimate");
+  }
+});
+
+app.post('/withdrawals/:id/confirm',
+  authenticated,
+  rateLimit('withdraw', { limit: 10, windowMs: RECOVERY_WINDOW_MS, keyFn: req => req.walletAddress }),
+  async (req, res) => {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ success: false, error: "Password is required." });
+    }
+    try {
+      const user = await User.findOne({ walletAddress: req.walletAddress });
+      if (!user || !user.passwordHash || !await bcrypt.compare(password, user.passwordHash)) {
+        return res.status(401).json({ success: false, error: "Invalid password." });
+      }
+      const withdrawal = await withdrawals.confirmWithdrawal(req.walletAddress, req.params.id);
+      const updated = await User.findOne({ walletAddress: req.walletAddress }).select('credits').lean();
+      return res.json({ success: withdrawal.status === 'submitted', withdrawal, credits: updated.credits });
+    } catch (err) {
+      return sendWithdrawalError(res, err, "/withdrawals/:id/confirm");
+    }
+  }
+);
+
+app.get('/withdrawals', authenticated, async (req, res) => {
+  try {
+    return res.json({ success: true, withdrawals: await withdrawals.listWithdrawals(req.walletAddress) });
+  } catch (err) {
+    return sendWithdrawalError(res, err, "/withdrawals");
+  }
+});
+
+/**************************************************
+ * GET /payment-assets
+ * Coins credited on deposit and their current rate
+ * (credits per unit), plus scheduled rate changes.
+ **************************************************/
+app.get('/payment-assets', async (req, res) => {
+  try {
+    return res.json({ success: true, assets: await paymentAssets.listAssets({ enabledOnly: true }) });
+  } catch (err) {
+    console.error("Error listing payment assets:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+/**************************************************
+ * Admin: payment assets
+ * GET    /admin/payment-assets
+ * POST   /admin/payment-assets
+ *   { tick, creditsPerUnit, enabled? }
+ *   (decimals are the token's on kasplex)
+ * PATCH  /admin/payment-assets/:tick
+ *   { enabled?, creditsPerUnit? }
+ * POST   /admin/payment-assets/:tick/rates
+ *   { creditsPerUnit, effectiveAt }
+ * DELETE /admin/payment-assets/:tick/rates/:rateId
+ **************************************************/
+function sendPaymentAssetError(res, err, label) {
+  if (err instanceof paymentAssets.PaymentAssetError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`Error in ${label}:`, err);
+  return res.status(500).json({ success: false, error: "Internal server error." });
+}
+
+app.get('/admin/payment-assets', requireAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, assets: await paymentAssets.listAssets() });
+  } catch (err) {
+    return sendPaymentAssetError(res, err, "/admin/payment-assets");
+  }
+});
+
+app.post('/admin/payment-assets', requireAdmin, async (req, res) => {
+  const { tick, creditsPerUnit, enabled } = req.body;
+  if (!tick || creditsPerUnit === undefined) {
+    return res.status(400).json({ success: false, error: "tick and creditsPerUnit are required." });
+  }
+  try {
+    const asset = await paymentAssets.createAsset({ tick, creditsPerUnit, enabled });
+    return res.status(201).json({ success: true, asset });
+  } catch (err) {
+    return sendPaymentAssetError(res, err, "POST /admin/payment-assets");
+  }
+});
+
+app.patch('/admin/payment-assets/:tick', requireAdmin, async (req, res) => {
+  const { enabled, creditsPerUnit } = req.body;
+  try {
+    const asset = await paymentAssets.updateAsset(req.params.tick, { enabled, creditsPerUnit });
+    return res.json({ success: true, asset });
+  } catch (err) {
+    return sendPaymentAssetError(res, err, "PATCH /admin/payment-assets/:tick");
+  }
+});
+
+app.post('/admin/payment-assets/:tick/rates', requireAdmin, async (req, res) => {
+  const { creditsPerUnit, effectiveAt } = req.body;
+  if (creditsPerUnit === undefined || !effectiveAt) {
+    return res.status(400).json({ success: false, error: "creditsPerUnit and effectiveAt are required." });
+  }
+  try {
+    const asset = await paymentAssets.scheduleRateChange(req.params.tick, { creditsPerUnit, effectiveAt });
+    return res.status(201).json({ success: true, asset });
+  } catch (err) {
+    return sendPaymentAssetError(res, err, "/admin/payment-assets/:tick/rates");
+  }
+});
+
+app.delete('/admin/payment-assets/:tick/rates/:rateId', requireAdmin, async (req, res) => {
+  try {
+    const asset = await paymentAssets.cancelRateChange(req.params.tick, req.params.rateId);
+    return res.json({ success: true, asset });
+  } catch (err) {
+    return sendPaymentAssetError(res, err, "/admin/payment-assets/:tick/rates/:rateId");
+  }
+});
+
 /**************************************************
  * POST /save-generated-file
  **************************************************/
-app.post('/save-generated-file', async (req, res) => {
-  const { walletAddress, requestId, content } = req.body;
-  if (!walletAddress || !requestId || !content) {
+app.post('/save-generated-file', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
+  const { requestId, content, message } = req.body;
+  if (!requestId || !content) {
     return res.status(400).json({ success: false, error: "All fields are required." });
   }
   try {
-    const user = await User.findOne({ walletAddress });
-    if (!user) {
-      return res.status(400).json({ success: false, error: "Invalid wallet address." });
+    const revision = await saveSiteRevision(requestId, walletAddress, content, { source: 'save', message });
+    if (!revision) {
+      return res.status(403).json({ success: false, error: "Site belongs to another wallet." });
     }
-    user.generatedFiles.push({
-      requestId,
-      content,
-      generatedAt: new Date()
-    });
-    await user.save();
-    return res.json({ success: true });
+    return res.json({ success: true, siteId: revision.siteId, revision: revision.number });
   } catch (err) {
     console.error("Error saving generated file:", err);
     return res.status(500).json({ success: false, error: "Internal server error." });
@@ -390,244 +976,231 @@ app.post('/save-generated-file', async (req, res) => {
 });
 
 /**************************************************
- * GET /get-user-generations?walletAddress=XYZ
+ * GET /get-user-generations?limit=&cursor=&sort=updatedAt|createdAt|title
+ *   &order=asc|desc&projectType=&from=&to=
+ * Metadata only (title, coin, thumbnail, size); the
+ * HTML comes from GET /sites/:id/content.
  **************************************************/
-app.get('/get-user-generations', async (req, res) => {
-  const { walletAddress } = req.query;
-  if (!walletAddress) {
-    return res.status(400).json({ success: false, error: "Missing walletAddress." });
-  }
+// Thumbnails are stored image paths; clients need absolute URLs
+function withThumbnailUrls(items, req) {
+  const baseUrl = publicBaseUrl(req);
+  return items.map(item => ({
+    ...item,
+    thumbnail: absolutizeImages({ thumbnail: item.thumbnail }, baseUrl).thumbnail || null
+  }));
+}
+
+app.get('/get-user-generations', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
   try {
-    const user = await User.findOne({ walletAddress }).lean();
-    if (!user) {
-      return res.status(404).json({ success: false, error: "User not found." });
-    }
-    const files = user.generatedFiles || [];
-    res.setHeader('Content-Type', 'application/json');
-    req.setTimeout(0);
-    res.setTimeout(0);
-
-    res.write('{"success":true,"generatedFiles":[');
-    for (let i = 0; i < files.length; i++) {
-      if (i > 0) res.write(',');
-      res.write(JSON.stringify({
-        requestId: files[i].requestId,
-        content: files[i].content,
-        generatedAt: files[i].generatedAt
-      }));
-      // flush chunk
-      await new Promise(resolve => setImmediate(resolve));
-    }
-    res.write(']}');
-    res.end();
+    const page = await listSitesPage(walletAddress, req.query);
+    return res.json({
+      success: true,
+      generatedFiles: withThumbnailUrls(page.items, req),
+      nextCursor: page.nextCursor
+    });
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
     console.error("Error in get-user-generations:", err);
     return res.status(500).json({ success: false, error: "Internal server error." });
   }
 });
 
 /**************************************************
- * MAIN background generation function
- * (Replaces the Qwen "openai" usage with direct fetch.)
+ * GET /sites/:id/content
+ * Current HTML of one site (images filled in)
  **************************************************/
-async function doWebsiteGeneration(requestId, userInputs, user) {
+app.get('/sites/:id/content', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
   try {
-    const { coinName, colorPalette, projectType, themeSelection, projectDesc } = userInputs || {};
-    progressMap[requestId].progress = 10;
-
-    const snippetInspiration = `
-<html>
-<head>
-  <style>
-    /* Example gradient & shimmer */
-    body {
-      margin: 0; padding: 0;
-      font-family: sans-serif;
-    }
-    .shimmer-bg {
-      background: linear-gradient(90deg, rgba(255,255,255,0.1) 0%, rgba(255,255,255,0.3) 50%, rgba(255,255,255,0.1) 100%);
-      background-size:200% 200%;
-      animation: shimmerMove 2s infinite;
-    }
-    @keyframes shimmerMove {
-      0% { background-position:-200% 0; }
-      100% { background-position:200% 0; }
+    const site = await loadSiteContent(req.params.id);
+    if (!site || site.walletAddress !== walletAddress) {
+      return res.status(404).json({ success: false, error: "Site not found." });
     }
-  </style>
-</head>
-<body>
-  <!-- snippet with shimmer -->
-</body>
-</html>
-`;
-
-    let systemPrompt = `
-    You are a website building ai for my app. Create a full finished beautiful site each time and Generate the single HTML file with EXACT comment markers for each section: 
-<!-- SECTION: nav -->, <!-- END: NAV --> .  and the file must be like this <!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8"/>
-  <style>
-{css}
-  </style>
-</head>
-<body>
-{html}
-</body>
-</html> its integral for my app to work. Make sure to properly layout sites. heading then under it subheading. that type of normal human center vertical layout but give a grid layout to components like cards. The best in the business. utilizing modern styling and css animations. gradients. glass cards.
-- Use a gradient of mainly "${themeSelection}" with a tone of "${colorPalette}" for the color scheming of the background and give an opposite contrast for the components. keep a consistent theming across the site, gradient and nice looks. 
-- Think of the cleanest best websites like apple and others. thats how we need it, not some old 2018 structure.
-- Make all sections fully responsive with strong spacing, advanced transitions, glassmorphism, gradient text, etc. Advanced CSS, fade in animations hover animations etc.
-- For all the sections except nav and footer, first a heading then under it a subheading, then under that the content. stop putting the heading next to the subheading or the subheading next to the content. it has to be stacked like a normal website.
-- Separate sections in this order a nice css js flow between all sections with fade in and those type of anims:
-- Buttons are placeholders only. Not clickable.
-- Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
-- No leftover code fences just the raw output as i will insert to an iframe, no text just code.
--add some placeholder fluff or extra sections if u think its needed.
-
-Use snippet below for partial inspiration (no code fences):
-${snippetInspiration}
-    `;
+    return res.json({
+      success: true,
+      siteId: site.siteId || null,
+      requestId: site.requestId,
+      revision: site.revision || null,
+      content: applyImages(site.content, site.images, req)
+    });
+  } catch (err) {
+    console.error("Error in /sites/:id/content:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
 
-    // If NFT or token, add more specifics
-    if (projectType.toLowerCase() === 'nft') {
-      systemPrompt += `
-the file must be like this <!DOCTYPE html>
-<html>
-head
-  <meta charset="utf-8"/>
-  <style>
-{css}
-  </style>
-</head>
-<body>
-{html}
-</body>
-</html>
-     You are a website building ai now building a site for the crypto nft project "${coinName}". here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section:
-     <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an nft website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color palette for tones. and a "${themeSelection}" theme for the site
-      make sure to have all these sections.
-      1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
-        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
-      3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
-      4) A heading and under it a subheading component and then under it a NFT distribution section with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
-      5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
-      6) A heading and under it a subheading component and then under it a collection section with 8 placeholder cards for example nfts. Beatiful looks nicely sized cards, advanced and creative CSS and js
-      6.1) feel free to get creative with this section and make a cool thing for their project named "${coinName}" it should be stunning and eyecatching
-      7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
-    - Buttons are placeholders only. Not clickable.
-    - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
-    - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
-       `;
-    } else {
-      systemPrompt += `
-You are a website building ai now building a site for the crypto token "${coinName}".here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section: 
-        <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an memecoin website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color pallete for tones. and a "${themeSelection}" theme for the site
-         make sure to have all these sections. with all of the requested features. we need everything.
-         1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
-        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
-        3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
-        4) A heading and under it a subheading component and then under it Tokenomics with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
-        5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
-        6) A heading and under it a subheading component and then under it 2 glass-card about section. Beatiful looks nicely sized cards, advanced and creative CSS and js
-        6.1) feel free to get creative with this section and make a cool thing for their project named "${coinName}" it should be stunning and eyecatching
-        7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
-        no leftover code fences. fake buttons.
-         - Buttons are placeholders only. Not clickable.
-        - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
-        - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
-      `;
-    }
-
-    progressMap[requestId].progress = 20;
-
-    // QWEN Chat Completion
-    let gptResponse;
-    try {
-      gptResponse = await callQwen(
-        "qwen-max-2025-01-25",
-        [
-          { role: "system", content: systemPrompt },
-          {
-            role: "user",
-            content: `
-Generate the single HTML file with EXACT sections (nav, hero, etc.). 
-for grapejs put the code in <!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8"/>
-  <style>
-{css}
-  </style>
-</head>
-<body>
-{html}
-</body> as an example plus the correct comment markers for each section example <!-- SECTION: nav -->, <!-- END: NAV --> . 
-No leftover code blocks or markdown fences. 
-Ensure it is fully responsive. 
-All advanced animations, glass styling, etc. 
-make sure its formatted for GrapesJS.
-`
-          }
-        ]
-      );
-    } catch (err) {
-      if (err.message.includes("429")) {
-        // If it's a rate limit error
-        console.error("Qwen rate limit error in doWebsiteGeneration:", err.message);
-        progressMap[requestId].status = 'error';
-        progressMap[requestId].progress = 100;
-        return;
-      }
-      throw err;
+/**************************************************
+ * GET /sites/:id/sections  (id = site id or requestId)
+ * Site split into its marked sections + shared CSS/JS
+ **************************************************/
+app.get('/sites/:id/sections', authenticated, async (req, res) => {
+  try {
+    const site = await loadSiteContent(req.params.id);
+    if (!site || site.walletAddress !== req.walletAddress) {
+      return res.status(404).json({ success: false, error: "Site not found." });
     }
+    const doc = siteDocument.parse(applyImages(site.content, site.images, req));
+    return res.json({ success: true, requestId: site.requestId, ...siteDocument.toJSON(doc) });
+  } catch (err) {
+    console.error("Error in /sites/:id/sections:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
 
-    let siteCode = gptResponse.choices[0].message.content.trim();
-    progressMap[requestId].progress = 60;
-
-    // Remove leftover code fences if any
-    siteCode = siteCode.replace(/```+/g, "");
+/**************************************************
+ * Revision history: GET /sites/:id/revisions,
+ * GET /sites/:id/revisions/:number, GET /sites/:id/diff,
+ * POST /sites/:id/restore  (id = site id or requestId)
+ **************************************************/
+// Resolves to the site when it exists and belongs to the session's
+// wallet, otherwise answers the request and resolves to null.
+async function findOwnedSite(req, res) {
+  const site = await findSite(req.params.id);
+  if (!site || site.walletAddress !== req.walletAddress) {
+    res.status(404).json({ success: false, error: "Site not found." });
+    return null;
+  }
+  return site;
+}
 
-    // Save final code
-    progressMap[requestId].code = siteCode;
-    progressMap[requestId].status = 'done';
-    progressMap[requestId].progress = 100;
+// Revision numbers are positive integers; anything else => null
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
 
-    // Save to DB
-    user.generatedFiles.push({
-      requestId,
-      content: siteCode,
-      generatedAt: new Date()
+app.get('/sites/:id/revisions', authenticated, async (req, res) => {
+  try {
+    const site = await findOwnedSite(req, res);
+    if (!site) return;
+    const revisions = await listRevisions(site);
+    return res.json({
+      success: true,
+      siteId: site._id,
+      requestId: site.requestId,
+      currentRevision: site.currentRevision,
+      revisions
     });
-    await user.save();
+  } catch (err) {
+    console.error("Error in /sites/:id/revisions:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
 
-  } catch (error) {
-    console.error("Error in background generation:", error);
-    progressMap[requestId].status = 'error';
-    progressMap[requestId].progress = 100;
+app.get('/sites/:id/revisions/:number', authenticated, async (req, res) => {
+  const number = parseRevisionNumber(req.params.number);
+  if (!number) {
+    return res.status(400).json({ success: false, error: "Invalid revision number." });
   }
-}
+  try {
+    const site = await findOwnedSite(req, res);
+    if (!site) return;
+    const revision = await getRevision(site, number);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: "Revision not found." });
+    }
+    return res.json({ success: true, revision });
+  } catch (err) {
+    console.error("Error in /sites/:id/revisions/:number:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+// ?from=&to= default to the current revision and the one before it
+app.get('/sites/:id/diff', authenticated, async (req, res) => {
+  try {
+    const site = await findOwnedSite(req, res);
+    if (!site) return;
+    const to = req.query.to ? parseRevisionNumber(req.query.to) : site.currentRevision;
+    const from = req.query.from ? parseRevisionNumber(req.query.from) : to - 1;
+    if ((req.query.to && !to) || (req.query.from && !from)) {
+      return res.status(400).json({ success: false, error: "Invalid revision number." });
+    }
+    const diff = await diffRevisions(site, from, to);
+    if (!diff) {
+      return res.status(404).json({ success: false, error: "Revision not found." });
+    }
+    return res.json({ success: true, ...diff });
+  } catch (err) {
+    console.error("Error in /sites/:id/diff:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+app.post('/sites/:id/restore', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
+  const revision = parseRevisionNumber(req.body.revision);
+  if (!revision) {
+    return res.status(400).json({ success: false, error: "Missing or invalid revision." });
+  }
+  try {
+    const site = await findOwnedSite(req, res);
+    if (!site) return;
+    const restored = await restoreRevision(site, revision, walletAddress);
+    if (!restored) {
+      return res.status(404).json({ success: false, error: "Revision not found." });
+    }
+    return res.json({ success: true, revision: restored.number, restoredFrom: restored.restoredFrom });
+  } catch (err) {
+    console.error("Error in /sites/:id/restore:", err);
+    return res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
 
 /**************************************************
  * POST /generate-section => refresh single section
  * (Removes partial image generation)
+ *
+ * Merge mode: pass `requestId` of a stored site and
+ * the section is regenerated against the site's CSS,
+ * spliced in between its markers and saved as a new
+ * revision of the site.
  **************************************************/
-app.post('/generate-section', async (req, res) => {
-  const { walletAddress, section, coinName, colorPalette, projectType, themeSelection, projectDesc } = req.body;
-  if (!walletAddress || !section) {
-    return res.status(400).json({ error: "Missing walletAddress or section." });
+// Cap on existing site CSS sent along as context in merge mode
+const SECTION_CSS_CONTEXT_CHARS = 12000;
+
+app.post('/generate-section', authenticated, async (req, res) => {
+  const walletAddress = req.walletAddress;
+  const { section, requestId } = req.body;
+  let { coinName, colorPalette, projectType, themeSelection, projectDesc } = req.body;
+  if (!section) {
+    return res.status(400).json({ error: "Missing section." });
   }
+  let chargeRef = null;
   try {
-    const user = await User.findOne({ walletAddress });
-    if (!user) {
-      return res.status(400).json({ error: "Invalid wallet address." });
+    let site = null;
+    let siteDoc = null;
+    if (requestId) {
+      site = await loadSiteContent(requestId);
+      if (!site || site.walletAddress !== walletAddress) {
+        return res.status(404).json({ error: "Site not found." });
+      }
+      siteDoc = siteDocument.parse(site.content);
+      if (!siteDocument.findSection(siteDoc, section)) {
+        return res.status(400).json({ error: `Section "${section}" not found in site.` });
+      }
+      // Fall back to the site's original generation inputs
+      const inputs = site.userInputs || {};
+      coinName = coinName || inputs.coinName;
+      colorPalette = colorPalette || inputs.colorPalette;
+      projectType = projectType || inputs.projectType;
+      themeSelection = themeSelection || inputs.themeSelection;
+      projectDesc = projectDesc || inputs.projectDesc;
     }
-    if (user.credits < 0.25) {
+    // Deduct 0.25 credit
+    const user = await User.findOneAndUpdate(
+      { walletAddress, credits: { $gte: 0.25 } },
+      { $inc: { credits: -0.25 } },
+      { new: true }
+    );
+    if (!user) {
       return res.status(400).json({ error: "Insufficient credits (need 0.25)." });
     }
-    // Deduct 0.25 credit
-    user.credits -= 0.25;
-    await user.save();
+    chargeRef = `section:${generateRequestId()}`;
+    await ledger.recordCharge(walletAddress, 0.25, chargeRef, `Regenerate section ${section}`);
 
     let systemPrompt = `
 Generate ONLY the [${section}] snippet for a ${projectType} site named "${coinName}". 
@@ -656,8 +1229,22 @@ Generate ONLY the [${section}] snippet for a ${projectType} site named "${coinNa
 Use snippet below for partial inspiration (no code fences):
 `;
 
-    const gptResp = await callQwen(
-      "qwen-plus",
+    if (siteDoc) {
+      systemPrompt += `
+IMPORTANT: this section will be spliced into an EXISTING site between its <!-- SECTION: ${section} --> markers.
+- Return ONLY the section markup: no <!DOCTYPE>, <html>, <head> or <body>, no comment markers.
+- Reuse the site's existing classes, variables and animations below; put only NEW rules in a single <style> block.
+- Do not restyle html, body or :root.
+Existing site CSS:
+${siteDocument.sharedCss(siteDoc, section).join('\n').slice(0, SECTION_CSS_CONTEXT_CHARS)}
+
+Current ${section} section (replace it):
+${siteDocument.findSection(siteDoc, section).html}
+`;
+    }
+
+    const gptResp = await callLLM(
+      'section',
       [
         { role: "system", content: systemPrompt },
         {
@@ -674,6 +1261,22 @@ Fully responsive.`
       }
     );
 
+    if (site) {
+      const merged = mergeRegeneratedSection(site.content, section, gptResp.choices[0].message.content);
+      const revision = await saveSiteRevision(site.requestId, walletAddress, merged.content, {
+        source: 'section',
+        message: `Regenerated ${section.toLowerCase()} section`
+      });
+      return res.json({
+        requestId: site.requestId,
+        revision: revision ? revision.number : null,
+        snippet: applyImages(merged.sectionHtml, site.images, req),
+        content: applyImages(merged.content, site.images, req),
+        images: {},
+        newCredits: user.credits
+      });
+    }
+
     let snippet = gptResp.choices[0].message.content.trim();
     snippet = snippet.replace(/```+/g, "");
 
@@ -684,6 +1287,10 @@ Fully responsive.`
     });
   } catch (err) {
     console.error("Error in /generate-section:", err);
+    if (chargeRef) {
+      await ledger.refund(walletAddress, 0.25, chargeRef, err.message)
+        .catch(refundErr => console.error("Failed to refund section credit:", refundErr));
+    }
     return res.status(500).json({ error: "Internal server error." });
   }
 });
@@ -707,6 +1314,67 @@ app.use((err, req, res, next) => {
  * Launch
  **************************************************/
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`KasperCoin Website Builder API running on port ${PORT}!`);
 });
+
+/**************************************************
+ * WebSocket /ws/progress?requestId=XYZ&token=...
+ * Same messages as /progress-stream, as JSON frames:
+ * { "event": "stage", "data": { ... } }
+ **************************************************/
+const wsServer = new WebSocketServer({ httpServer: server, autoAcceptConnections: false });
+wsServer.on('request', (request) => {
+  const { pathname } = request.resourceURL;
+  if (pathname !== '/ws/progress') {
+    return request.reject(404, 'Not found');
+  }
+  if (request.origin && request.origin !== '*' && allowedOrigins.indexOf(request.origin) === -1) {
+    return request.reject(403, 'Origin not allowed');
+  }
+
+  authorizeProgressSocket(request)
+    .then(allowed => {
+      if (!allowed) return request.reject(401, 'Authentication required');
+      acceptProgressSocket(request);
+    })
+    .catch(err => {
+      console.error("Error authorizing progress websocket:", err);
+      request.reject(500, 'Internal server error');
+    });
+});
+
+// Session token from ?token= (browsers can't set headers on WebSockets)
+async function authorizeProgressSocket(request) {
+  const { query } = request.resourceURL;
+  const token = auth.tokenFromRequest({ headers: request.httpRequest.headers, query }, true);
+  const session = await auth.resolveSession(token);
+  if (!session) return false;
+  return Boolean(await getOwnedJob(query.requestId, session.walletAddress));
+}
+
+function acceptProgressSocket(request) {
+  const { query } = request.resourceURL;
+  const connection = request.accept(null, request.origin);
+  const send = (event, data) => {
+    if (connection.connected) connection.sendUTF(JSON.stringify({ event, data }));
+  };
+  const close = () => connection.close();
+  let stop = () => {};
+  let disconnected = false;
+  connection.on('close', () => {
+    disconnected = true;
+    stop();
+  });
+
+  streamJob(query.requestId, request.httpRequest, send, close)
+    .then(fn => {
+      stop = fn;
+      if (disconnected) stop();
+    })
+    .catch(err => {
+      console.error("Error in progress websocket:", err);
+      send('error', { error: "Internal server error." });
+      close();
+    });
+}
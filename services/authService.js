@@ -0,0 +1,127 @@
+// backend/services/authService.js
+//
+// Opaque session tokens: issued on login, sent back as
+// `Authorization: Bearer <token>`, looked up by hash on every request.
+// Also the sign-in challenges external wallets sign instead of a password.
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const LoginChallenge = require('../models/LoginChallenge');
+
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000;
+// Sliding expiry is only written back this often per session
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Start a session for a wallet. Resolves to { token, expiresAt }; the
+ * token itself is never stored.
+ */
+async function createSession(walletAddress, userAgent) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await Session.create({
+    tokenHash: hashToken(token),
+    walletAddress,
+    userAgent: userAgent ? userAgent.slice(0, 256) : undefined,
+    expiresAt
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Session for a token, or null when it is unknown or expired.
+ * Active sessions get their expiry pushed forward.
+ */
+async function resolveSession(token) {
+  if (!token) return null;
+  const session = await Session.findOne({ tokenHash: hashToken(token) }).lean();
+  // The TTL monitor runs about once a minute; don't trust it for expiry
+  if (!session || session.expiresAt <= new Date()) return null;
+
+  if (Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { lastUsedAt: new Date(), expiresAt: new Date(Date.now() + SESSION_TTL_MS) } }
+    );
+  }
+  return session;
+}
+
+async function revokeSession(token) {
+  if (!token) return;
+  await Session.deleteOne({ tokenHash: hashToken(token) });
+}
+
+/**
+ * End every session of a wallet (e.g. after a password change).
+ */
+async function revokeAllSessions(walletAddress) {
+  await Session.deleteMany({ walletAddress });
+}
+
+/**
+ * Bearer token from the Authorization header; optionally `?token=` for
+ * clients that can't set headers (EventSource, WebSocket, download links).
+ */
+function tokenFromRequest(req, allowQueryToken = false) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  if (allowQueryToken && req.query && typeof req.query.token === 'string') return req.query.token;
+  return null;
+}
+
+// First line of the signed message, per purpose
+const CHALLENGE_TITLES = {
+  login: 'Sign in to KasperCoin Website Builder',
+  register: 'Register this wallet with KasperCoin Website Builder'
+};
+
+/**
+ * Issue a challenge for an address ('login' or 'register'). The wallet
+ * signs `message` verbatim; resolves to { nonce, message, expiresAt }.
+ */
+async function createLoginChallenge(walletAddress, purpose = 'login') {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+  const message = [
+    CHALLENGE_TITLES[purpose],
+    `Address: ${walletAddress}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${expiresAt.toISOString()}`
+  ].join('\n');
+  await LoginChallenge.create({ nonce, walletAddress, purpose, message, expiresAt });
+  return { nonce, message, expiresAt };
+}
+
+/**
+ * Take a challenge out of circulation (whether or not the signature then
+ * verifies, so a nonce can't be brute-forced). Resolves to the challenge
+ * or null when it is unknown, expired, for another address or issued for
+ * another purpose.
+ */
+async function consumeLoginChallenge(nonce, walletAddress, purpose = 'login') {
+  if (!nonce) return null;
+  return LoginChallenge.findOneAndDelete({
+    nonce,
+    walletAddress,
+    // Challenges issued before purposes existed are login challenges
+    purpose: purpose === 'login' ? { $in: ['login', null] } : purpose,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+}
+
+module.exports = {
+  createSession,
+  resolveSession,
+  revokeSession,
+  revokeAllSessions,
+  tokenFromRequest,
+  createLoginChallenge,
+  consumeLoginChallenge
+};
@@ -0,0 +1,99 @@
+// backend/services/creditLedger.js
+
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const User = require('../models/User');
+
+// Unapplied entries older than this are treated as interrupted and re-applied
+const PENDING_GRACE_MS = 60 * 1000;
+
+/**
+ * Record credits that were already deducted for a paid operation.
+ */
+async function recordCharge(walletAddress, amount, reference, reason) {
+  try {
+    return await CreditLedgerEntry.create({
+      walletAddress, type: 'charge', amount, reference, reason, applied: true
+    });
+  } catch (err) {
+    // Ledger is bookkeeping; never fail the paid operation over it
+    console.error(`Failed to record charge ${reference}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Record credits taken back because a credited deposit was reversed
+ * (reorged out / dropped). The caller already deducted them.
+ */
+async function recordReversal(walletAddress, amount, reference, reason) {
+  try {
+    return await CreditLedgerEntry.create({
+      walletAddress, type: 'reversal', amount, reference, reason, applied: true
+    });
+  } catch (err) {
+    console.error(`Failed to record reversal ${reference}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Give credits back for a failed paid operation. Idempotent per
+ * `reference`: the first call records and applies the refund, later
+ * calls resolve false.
+ */
+async function refund(walletAddress, amount, reference, reason) {
+  try {
+    await CreditLedgerEntry.create({
+      walletAddress, type: 'refund', amount, reference, reason, applied: false
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      // Already recorded; make sure it was applied too
+      return applyRefund(reference);
+    }
+    throw err;
+  }
+  return applyRefund(reference);
+}
+
+/**
+ * Move the credits for a recorded refund, exactly once: the reference is
+ * pushed onto the user in the same atomic update as the $inc, so re-running
+ * this after a crash can never double-credit.
+ */
+async function applyRefund(reference) {
+  const entry = await CreditLedgerEntry.findOne({ type: 'refund', reference }).lean();
+  if (!entry || entry.applied) return false;
+
+  const result = await User.updateOne(
+    { walletAddress: entry.walletAddress, appliedRefunds: { $ne: reference } },
+    { $inc: { credits: entry.amount }, $push: { appliedRefunds: reference } }
+  );
+  await CreditLedgerEntry.updateOne({ _id: entry._id }, { $set: { applied: true } });
+  if (!result.modifiedCount) return false;
+
+  console.log(`Refunded ${entry.amount} credit(s) to ${entry.walletAddress} (${reference}: ${entry.reason || 'failed'})`);
+  return true;
+}
+
+/**
+ * Apply refunds that were recorded but never applied (process died in
+ * between). Run periodically by the worker.
+ */
+async function applyPendingRefunds() {
+  const cutoff = new Date(Date.now() - PENDING_GRACE_MS);
+  const pending = await CreditLedgerEntry.find({ type: 'refund', applied: false, createdAt: { $lt: cutoff } })
+    .select('reference')
+    .lean();
+  for (const entry of pending) {
+    await applyRefund(entry.reference)
+      .catch(err => console.error(`Failed to apply refund ${entry.reference}:`, err.message));
+  }
+}
+
+module.exports = {
+  recordCharge,
+  recordReversal,
+  refund,
+  applyPendingRefunds
+};
@@ -0,0 +1,159 @@
+// backend/services/cssMerge.js
+//
+// Minimal CSS rule handling for merging a regenerated section's styles into
+// a site's shared CSS: identical rules are dropped, rules that would restyle
+// selectors the site already defines are scoped to the section, and global
+// rules (html/body/:root/*) from a section are discarded.
+
+// Conditional group rules whose inner rules we scope individually
+const GROUP_AT_RULES = /^@(media|supports|container|layer)\b/i;
+const GLOBAL_SELECTOR = /^(html|body|:root|\*)(?![\w-])/i;
+
+function normalize(text) {
+  return text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split CSS into top-level rules: [{ prelude, body, text }].
+ * Statements without a block (e.g. @import) have body === null.
+ */
+function splitRules(css) {
+  const rules = [];
+  let depth = 0;
+  let start = 0;
+  let braceAt = -1;
+  let quote = null;
+
+  for (let i = 0; i < css.length; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      i = close === -1 ? css.length : close + 1;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{') {
+      if (depth === 0) braceAt = i;
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        rules.push({
+          prelude: normalize(css.slice(start, braceAt)),
+          body: css.slice(braceAt + 1, i),
+          text: css.slice(start, i + 1).trim()
+        });
+        start = i + 1;
+      }
+    } else if (ch === ';' && depth === 0) {
+      const text = css.slice(start, i + 1).trim();
+      if (text) rules.push({ prelude: normalize(text), body: null, text });
+      start = i + 1;
+    }
+  }
+  return rules;
+}
+
+function splitSelectors(prelude) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of prelude) {
+    if (ch === '(' || ch === '[') depth++;
+    if (ch === ')' || ch === ']') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Every selector and rule text the existing CSS defines (including those
+ * nested in @media & co.).
+ */
+function indexCss(cssBlocks) {
+  const selectors = new Set();
+  const ruleTexts = new Set();
+  const keyframes = new Set();
+  const visit = (css) => {
+    for (const rule of splitRules(css)) {
+      ruleTexts.add(normalize(rule.text));
+      if (rule.body === null) continue;
+      if (/^@(-\w+-)?keyframes\s+/i.test(rule.prelude)) {
+        keyframes.add(rule.prelude.split(/\s+/)[1]);
+      } else if (GROUP_AT_RULES.test(rule.prelude)) {
+        visit(rule.body);
+      } else if (!rule.prelude.startsWith('@')) {
+        splitSelectors(rule.prelude).forEach(sel => selectors.add(normalize(sel)));
+      }
+    }
+  };
+  cssBlocks.forEach(visit);
+  return { selectors, ruleTexts, keyframes };
+}
+
+/**
+ * Restrict a selector to a section: `scope` sits on the section's root
+ * element, so match the root itself as well as its descendants.
+ */
+function scopeSelector(sel, scope) {
+  if (/^[>+~]/.test(sel)) return `${scope} ${sel}`;
+  // A type selector has to stay first in its compound: h1.x => h1[scope].x
+  const type = (sel.match(/^([a-zA-Z][\w-]*|\*)/) || [''])[0];
+  return `${type}${scope}${sel.slice(type.length)}, ${scope} ${sel}`;
+}
+
+function scopeRule(rule, scope, index) {
+  const selectors = splitSelectors(rule.prelude).filter(sel => !GLOBAL_SELECTOR.test(sel));
+  if (!selectors.length) return null;
+  const conflicts = selectors.some(sel => index.selectors.has(normalize(sel)));
+  if (!conflicts) return `${selectors.join(', ')} {${rule.body}}`;
+  return `${selectors.map(sel => scopeSelector(sel, scope)).join(', ')} {${rule.body}}`;
+}
+
+/**
+ * Merge a section's new CSS against the site's existing CSS blocks.
+ * Returns the CSS to add (possibly empty) for that section.
+ */
+function mergeSectionCss(existingCssBlocks, newCss, scope) {
+  const index = indexCss(existingCssBlocks);
+  const out = [];
+
+  for (const rule of splitRules(newCss || '')) {
+    if (index.ruleTexts.has(normalize(rule.text))) continue; // exact duplicate
+    if (rule.body === null) continue; // @import/@charset belong to the page, not a section
+
+    if (/^@(-\w+-)?keyframes\s+/i.test(rule.prelude)) {
+      // Same-named animation already defined => keep the site's version
+      if (!index.keyframes.has(rule.prelude.split(/\s+/)[1])) out.push(rule.text);
+    } else if (GROUP_AT_RULES.test(rule.prelude)) {
+      const inner = splitRules(rule.body)
+        .filter(r => r.body !== null && !index.ruleTexts.has(normalize(r.text)))
+        .map(r => scopeRule(r, scope, index))
+        .filter(Boolean);
+      if (inner.length) out.push(`${rule.prelude} {\n  ${inner.join('\n  ')}\n}`);
+    } else if (rule.prelude.startsWith('@')) {
+      out.push(rule.text); // @font-face etc.
+    } else {
+      const scoped = scopeRule(rule, scope, index);
+      if (scoped) out.push(scoped);
+    }
+  }
+  return out.join('\n');
+}
+
+module.exports = {
+  splitRules,
+  mergeSectionCss
+};
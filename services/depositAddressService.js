@@ -0,0 +1,66 @@
+// backend/services/depositAddressService.js
+//
+// Deposit addresses for accounts whose owners hold their own keys (external
+// and non-custodial). Such an owner could pay their wallet from itself and
+// earn credits while keeping the coins, so their deposits are credited only
+// on a separate wallet generated here, sealed like custodial keys (keyVault)
+// and never shown to anyone. Custodial accounts keep being credited on their
+// own wallet (depositService.creditAddress). Credited KAS is swept to the
+// treasury from either.
+
+const User = require('../models/User');
+const { sealWalletSecrets, openWalletSecrets } = require('./keyVault');
+const { creditAddress } = require('./depositService');
+const { createWallet, receivePrivateKey } = require('../wasm_rpc');
+
+/**
+ * Where the user's payments are credited, generating an external /
+ * non-custodial account's deposit address on first use. Resolves to null
+ * for unknown wallets.
+ */
+async function ensureDepositAddress(walletAddress) {
+  const user = await User.findOne({ walletAddress }).select('walletAddress accountType depositAddress').lean();
+  if (!user) return null;
+  const address = creditAddress(user);
+  if (address) return address;
+
+  const wallet = await createWallet();
+  if (!wallet.success) {
+    throw new Error(`Deposit wallet generation failed: ${wallet.error}`);
+  }
+  const depositAddress = wallet.receivingAddress;
+  await User.updateOne(
+    { walletAddress, depositAddress: { $exists: false } },
+    {
+      $set: {
+        depositAddress,
+        depositSecrets: sealWalletSecrets(depositAddress, { xPrv: wallet.xPrv, mnemonic: wallet.mnemonic })
+      }
+    }
+  );
+  // A concurrent call may have stored its address first
+  const updated = await User.findOne({ walletAddress }).select('depositAddress').lean();
+  return updated.depositAddress;
+}
+
+/**
+ * Signing key of a user's credit address (sweeps only): the custodial
+ * wallet's receive key, or the deposit address's.
+ */
+async function creditPrivateKey(walletAddress) {
+  const user = await User.findOne({ walletAddress })
+    .select('walletAddress accountType depositAddress +walletSecrets +depositSecrets')
+    .lean();
+  const address = user && creditAddress(user);
+  if (!address) {
+    throw new Error(`No credit address for wallet ${walletAddress}`);
+  }
+  const secrets = address === user.walletAddress ? user.walletSecrets : user.depositSecrets;
+  const { xPrv } = openWalletSecrets(address, secrets);
+  return receivePrivateKey(xPrv);
+}
+
+module.exports = {
+  ensureDepositAddress,
+  creditPrivateKey
+};
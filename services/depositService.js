@@ -2,155 +2,548 @@
 
 const axios = require('axios');
 const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const Sweep = require('../models/Sweep');
+const DepositScanCursor = require('../models/DepositScanCursor');
+const ledger = require('./creditLedger');
+const paymentAssets = require('./paymentAssetService');
 
-// 1 credit = 1 KAS, 1 credit = 1/800 KASPER
-const CREDIT_CONVERSION = {
-  KAS: 1 / 1,       // 1 credit = 1 KAS
-  KASPER: 1 / 800   // 1 credit = 800 KASPER
+const KASPA_API = 'https://api.kaspa.org';
+const KASPLEX_API = 'https://api.kasplex.org/v1';
+
+// Depth (blue score / DAA score past acceptance) before a KAS deposit is
+// credited. Mainnet produces ~10 per second.
+const DEPOSIT_CONFIRMATIONS = parseInt(process.env.DEPOSIT_CONFIRMATIONS, 10) || 100;
+// Credited deposits are re-checked for reversal for this long
+const REVERSAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Pending deposits still unaccepted after this are dropped
+const PENDING_DROP_MS = 60 * 60 * 1000;
+// KAS history paging (api.kaspa.org full-transactions-page, newest first)
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGES = 2000;
+// Re-read this much history before the cursor (late indexing, reorgs)
+const CURSOR_OVERLAP_MS = 10 * 60 * 1000;
+// KRC-20 oplist paging (kasplex, newest first)
+const MAX_OPLIST_PAGES = 500;
+
+// Credits moved by each deposit status change (x creditsAdded)
+const TRANSITIONS = {
+  'pending>confirmed': 1,
+  'reversed>confirmed': 1,
+  'pending>reversed': 0,
+  'confirmed>reversed': -1
 };
 
 /**
- * Process KRC20 (KASPER) deposits for a single user.
+ * One deposit entry of a wallet, or null.
  */
-async function processUserKasperDeposits(user) {
-  if (!Array.isArray(user.processedTransactions)) {
-    user.processedTransactions = [];
+async function findDeposit(walletAddress, txid) {
+  const user = await User.findOne({ walletAddress, 'processedTransactions.txid': txid })
+    .select({ 'processedTransactions.$': 1 })
+    .lean();
+  return user ? user.processedTransactions[0] : null;
+}
+
+/**
+ * Move a known deposit from one status to another and adjust credits.
+ * Guarded by the current status, so a change is applied at most once
+ * however many scanners see it. Resolves to true when this call applied it.
+ */
+async function transitionDeposit(walletAddress, txid, from, to, { acceptingBlueScore, reason } = {}) {
+  const sign = TRANSITIONS[`${from}>${to}`];
+  if (sign === undefined) return false;
+  const deposit = await findDeposit(walletAddress, txid);
+  if (!deposit || (deposit.status || 'confirmed') !== from) return false;
+
+  const set = { 'processedTransactions.$.status': to };
+  if (acceptingBlueScore) set['processedTransactions.$.acceptingBlueScore'] = acceptingBlueScore;
+  if (to === 'confirmed') set['processedTransactions.$.confirmedAt'] = new Date();
+  if (to === 'reversed') set['processedTransactions.$.reversedAt'] = new Date();
+  const delta = sign * deposit.creditsAdded;
+  const update = delta ? { $set: set, $inc: { credits: delta } } : { $set: set };
+
+  // Entries from before deposit statuses existed have none and count as confirmed
+  const status = from === 'confirmed' ? { $in: ['confirmed', null] } : from;
+  const result = await User.updateOne(
+    { walletAddress, processedTransactions: { $elemMatch: { txid, status } } },
+    update
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  if (delta < 0) {
+    await ledger.recordReversal(walletAddress, -delta, `deposit:${txid}`, reason || 'Deposit reversed');
   }
-  const walletAddress = user.walletAddress;
-  const url = `https://api.kasplex.org/v1/krc20/oplist?address=${walletAddress}&tick=KASPER`;
+  console.log(`Deposit ${txid} of ${walletAddress}: ${from} => ${to}${delta ? ` (${delta.toFixed(8)} credits)` : ''}`);
+  return true;
+}
 
-  try {
-    const response = await axios.get(url);
+/**
+ * Record a deposit observation. New txids are inserted once (the check and
+ * the insert are a single update, so the API scan and the deposit watcher
+ * can't both record one), and credited right away only when `confirmed`.
+ * A confirmed observation of a pending or reversed deposit credits it.
+ * Credits use the asset's rate in force when the deposit is first seen.
+ * Deposits of an asset that isn't accepted right now are not recorded; the
+ * scanners keep their cursors before them so they are credited once it is
+ * enabled again. `address` is the credit address that was paid (sweeps only
+ * move KAS from there). Resolves to the status this call moved the deposit
+ * to, or null.
+ */
+async function recordDeposit(walletAddress, { txid, coinType, address, amount, confirmed, acceptingBlueScore }) {
+  const creditsAdded = await paymentAssets.creditsFor(coinType, amount);
+  if (creditsAdded === null) {
+    console.log(`Ignoring ${coinType} deposit ${txid} to ${walletAddress}: not an enabled payment asset`);
+    return null;
+  }
+  const status = confirmed ? 'confirmed' : 'pending';
+  const entry = { txid, coinType, address, amount, creditsAdded, status, acceptingBlueScore, timestamp: new Date() };
+  if (confirmed) entry.confirmedAt = entry.timestamp;
+
+  const result = await User.updateOne(
+    { walletAddress, 'processedTransactions.txid': { $ne: txid } },
+    { $inc: { credits: confirmed ? creditsAdded : 0 }, $push: { processedTransactions: entry } }
+  );
+  if (result.modifiedCount === 1) {
+    console.log(confirmed
+      ? `Credited ${creditsAdded.toFixed(8)} credits to ${walletAddress} from ${coinType} tx ${txid}`
+      : `Pending ${coinType} deposit ${txid} to ${walletAddress} (${creditsAdded.toFixed(8)} credits)`);
+    return status;
+  }
+  if (!confirmed) return null;
+  for (const from of ['pending', 'reversed']) {
+    if (await transitionDeposit(walletAddress, txid, from, 'confirmed', { acceptingBlueScore })) return 'confirmed';
+  }
+  return null;
+}
+
+/**
+ * Reverse a deposit the network dropped or reorged out: pending ones are
+ * just closed, credited ones are debited again. Resolves to true when this
+ * call reversed it.
+ */
+async function reverseDeposit(walletAddress, txid, reason) {
+  for (const from of ['pending', 'confirmed']) {
+    if (await transitionDeposit(walletAddress, txid, from, 'reversed', { reason })) return true;
+  }
+  return false;
+}
+
+/**
+ * A wallet's deposits that are seen but not credited yet.
+ */
+async function listPendingDeposits(walletAddress) {
+  const user = await User.findOne({ walletAddress }).select('processedTransactions').lean();
+  return ((user && user.processedTransactions) || [])
+    .filter(t => t.status === 'pending')
+    .map(t => ({
+      txid: t.txid,
+      coinType: t.coinType,
+      amount: t.amount,
+      credits: t.creditsAdded,
+      seenAt: t.timestamp
+    }));
+}
+
+/**
+ * Outcome of a KRC-20 operation: 'accepted', 'rejected', or 'undecided'
+ * (indexer hasn't settled it yet).
+ */
+function krc20OpStatus(op) {
+  if (op.opError || op.opAccept === '-1' || op.txAccept === '-1') return 'rejected';
+  if (op.opAccept === '1' && op.txAccept === '1') return 'accepted';
+  return 'undecided';
+}
+
+/**
+ * Walk an address's oplist for one tick newest => oldest, following `next`,
+ * until a page reaches opScore `since` (0 = the whole list).
+ */
+async function* krc20Operations(address, tick, since) {
+  let next = null;
+  for (let page = 0; page < MAX_OPLIST_PAGES; page++) {
+    const params = { address, tick };
+    if (next) params.next = next;
+    const response = await axios.get(`${KASPLEX_API}/krc20/oplist`, { params });
     if (response.data.message !== "successful") {
-      console.error(`Unexpected KASPER response for ${walletAddress}:`, response.data);
-      return;
+      throw new Error(`Unexpected ${tick} oplist response: ${JSON.stringify(response.data)}`);
     }
-    const transactions = response.data.result || [];
+    const operations = response.data.result || [];
+    if (!operations.length) return;
+    yield operations;
 
-    for (const tx of transactions) {
-      const hashRev = tx.hashRev;
-      const amt = parseInt(tx.amt, 10) / 1e8; // from sompi
-      const opType = tx.op;
-      const toAddress = tx.to;
-
-      // skip if already processed
-      const alreadyProcessed = user.processedTransactions.some(
-        (t) => t.txid === hashRev
-      );
+    const oldest = Math.min(...operations.map(op => Number(op.opScore)));
+    next = response.data.next;
+    if (!next || (since && oldest <= since)) return;
+  }
+  console.error(`${tick} oplist of ${address} is longer than ${MAX_OPLIST_PAGES} pages; stopped there.`);
+}
 
-      // Must be "transfer" to this wallet and not processed
-      if (
-        opType.toLowerCase() === "transfer" &&
-        toAddress === walletAddress &&
-        !alreadyProcessed
-      ) {
-        const creditsToAdd = amt * CREDIT_CONVERSION.KASPER;
-        user.credits += creditsToAdd;
-
-        user.processedTransactions.push({
-          txid: hashRev,
-          coinType: "KASPER",
-          amount: amt,
-          creditsAdded: creditsToAdd,
-          timestamp: new Date()
-        });
-        console.log(
-          `Credited ${creditsToAdd.toFixed(8)} credits to user ${user.username} from KASPER tx ${hashRev}`
-        );
-      }
-    }
-  } catch (err) {
-    console.error(`Error fetching KASPER for ${walletAddress}:`, err.message);
+/**
+ * Address a user's deposits are credited on: a custodial account's own
+ * wallet (only this service holds its keys), otherwise the separate deposit
+ * address assigned by services/depositAddressService.js, since external and
+ * non-custodial owners could pay their own wallet from itself. Null until
+ * such an account has been assigned one. Needs walletAddress, accountType
+ * and depositAddress.
+ */
+function creditAddress(user) {
+  if (user.accountType === 'external' || user.accountType === 'noncustodial') {
+    return user.depositAddress || null;
   }
+  return user.walletAddress;
 }
 
 /**
- * Process Kaspa (KAS) deposits for a single user.
+ * Process one KRC-20 asset's deposits for a single user: accepted transfers
+ * to its credit address newer than its saved opScore cursor. The cursor
+ * only moves up to just below the oldest undecided operation, so those are
+ * seen again.
  */
-async function processUserKaspaDeposits(user) {
+async function processUserKrc20Deposits(user, { tick, decimals }) {
   if (!Array.isArray(user.processedTransactions)) {
     user.processedTransactions = [];
   }
-  const kaspaAddress = user.walletAddress;
-  const url = `https://api.kaspa.org/addresses/${kaspaAddress}/full-transactions?limit=50&offset=0&resolve_previous_outpoints=no`;
+  const walletAddress = user.walletAddress;
+  const depositAddress = creditAddress(user);
 
   try {
-    const response = await axios.get(url);
-    const transactions = Array.isArray(response.data) ? response.data : [];
+    const cursor = await DepositScanCursor.findOne({ walletAddress, coinType: tick }).lean();
+    const since = cursor ? cursor.position : 0;
+    let newest = since;
+    let oldestUndecided = Infinity;
 
-    for (const tx of transactions) {
-      const txHash = tx.hash;
-      if (!tx.outputs || tx.outputs.length === 0) continue;
-
-      // Sum the outputs that pay user
-      let sumToUser = 0;
-      for (const out of tx.outputs) {
-        if (out.script_public_key_address === kaspaAddress) {
-          // out.amount is in sompi => 1e8 = 1 KAS
-          const outKas = parseInt(out.amount, 10) / 1e8;
-          sumToUser += outKas;
+    for await (const operations of krc20Operations(depositAddress, tick, since)) {
+      for (const op of operations) {
+        const opScore = Number(op.opScore);
+        if (opScore <= since) continue;
+        // Only transfers into the credit address (not from itself) are deposits
+        if ((op.op || "").toLowerCase() !== "transfer" || op.to !== depositAddress || op.from === depositAddress) {
+          newest = Math.max(newest, opScore);
+          continue;
+        }
+        const status = krc20OpStatus(op);
+        if (status === 'undecided') {
+          oldestUndecided = Math.min(oldestUndecided, opScore);
+          continue;
+        }
+        newest = Math.max(newest, opScore);
+        if (status === 'rejected') {
+          console.log(`Skipping rejected ${tick} transfer ${op.hashRev} to ${walletAddress}: ${op.opError || 'not accepted'}`);
+          continue;
         }
-      }
 
-      if (sumToUser > 0) {
-        const alreadyProcessed = user.processedTransactions.some(
-          (t) => t.txid === txHash
-        );
+        const alreadyProcessed = user.processedTransactions.some((t) => t.txid === op.hashRev);
         if (!alreadyProcessed) {
-          const creditsToAdd = sumToUser * CREDIT_CONVERSION.KAS;
-          user.credits += creditsToAdd;
-
-          user.processedTransactions.push({
-            txid: txHash,
-            coinType: "KAS",
-            amount: sumToUser,
-            creditsAdded: creditsToAdd,
-            timestamp: new Date()
+          const amount = Number(BigInt(op.amt)) / 10 ** decimals;
+          await recordDeposit(walletAddress, {
+            txid: op.hashRev, coinType: tick, address: depositAddress, amount, confirmed: true
           });
-          console.log(
-            `Credited ${creditsToAdd.toFixed(8)} credits to user ${user.username} from KAS tx ${txHash}`
-          );
         }
       }
     }
+
+    const position = Math.max(since, Math.min(newest, oldestUndecided - 1));
+    // Disabled mid-scan: its transfers were skipped, read them again later
+    if (position > since && await paymentAssets.isAccepted(tick)) {
+      await DepositScanCursor.updateOne(
+        { walletAddress, coinType: tick },
+        { $set: { position, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
   } catch (err) {
-    console.error(`Error fetching KAS for ${kaspaAddress}:`, err.message);
+    console.error(`Error fetching ${tick} for ${walletAddress}:`, err.message);
   }
 }
 
 /**
- * On-demand deposit check for a single user.
+ * Txids of transactions we sent from a wallet (withdrawals, sweeps): their
+ * change output pays the wallet but is not a deposit.
  */
-async function fetchAndProcessUserDeposits(walletAddress) {
-  const user = await User.findOne({ walletAddress });
+async function outgoingTxids(walletAddress) {
+  const [withdrawals, sweeps] = await Promise.all([
+    Withdrawal.find({ walletAddress, 'txids.0': { $exists: true } }).select('txids').lean(),
+    Sweep.find({ walletAddress, 'txids.0': { $exists: true } }).select('txids').lean()
+  ]);
+  return new Set([...withdrawals, ...sweeps].flatMap(doc => doc.txids));
+}
+
+/**
+ * Current virtual chain blue score, to measure deposit depth against.
+ */
+async function virtualBlueScore() {
+  const response = await axios.get(`${KASPA_API}/info/virtual-chain-blue-score`);
+  return Number(response.data.blueScore);
+}
+
+/**
+ * Blue score depth of an api.kaspa.org transaction (0 while unaccepted).
+ */
+function confirmationsOf(tx, blueScore) {
+  if (!tx.is_accepted || !tx.accepting_block_blue_score) return 0;
+  return blueScore - Number(tx.accepting_block_blue_score);
+}
+
+/**
+ * Walk an address's KAS history newest => oldest, one page at a time,
+ * until a page reaches block time `since` (0 = the whole history).
+ */
+async function* kaspaHistory(address, since) {
+  let before = null;
+  for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+    // 'light' adds each input's previous_outpoint_address
+    const params = { limit: HISTORY_PAGE_SIZE, resolve_previous_outpoints: 'light' };
+    if (before) params.before = before;
+    const response = await axios.get(`${KASPA_API}/addresses/${address}/full-transactions-page`, { params });
+    const transactions = Array.isArray(response.data) ? response.data : [];
+    if (!transactions.length) return;
+    yield transactions;
+
+    const oldest = Math.min(...transactions.map(tx => Number(tx.block_time) || Infinity));
+    const next = Number(response.headers['x-next-page-before']);
+    if (!next || (since && oldest <= since)) return;
+    before = next;
+  }
+  console.error(`KAS history of ${address} is longer than ${MAX_HISTORY_PAGES} pages; stopped there.`);
+}
+
+/**
+ * Record one transaction from the history if it pays the user's credit
+ * address. Resolves to the status recordDeposit() moved it to, or null.
+ */
+async function processKaspaTransaction(user, tx, outgoing, blueScore) {
+  const depositAddress = creditAddress(user);
+  const txHash = tx.hash;
+  if (!tx.outputs || tx.outputs.length === 0) return null;
+  if (outgoing.has(txHash)) return null;
+  // Spends from the credit address itself (sweeps, change, payments to
+  // oneself with a revealed phrase) pay nobody in
+  if ((tx.inputs || []).some(input => input.previous_outpoint_address === depositAddress)) return null;
+
+  // Sum the outputs that pay user
+  let sumToUser = 0;
+  for (const out of tx.outputs) {
+    if (out.script_public_key_address === depositAddress) {
+      // out.amount is in sompi => 1e8 = 1 KAS
+      const outKas = parseInt(out.amount, 10) / 1e8;
+      sumToUser += outKas;
+    }
+  }
+  if (sumToUser <= 0) return null;
+
+  const known = user.processedTransactions.find((t) => t.txid === txHash);
+  // Pending and reversed ones are looked at again
+  if (known && (known.status || 'confirmed') === 'confirmed') return null;
+  return recordDeposit(user.walletAddress, {
+    txid: txHash,
+    coinType: "KAS",
+    address: depositAddress,
+    amount: sumToUser,
+    confirmed: confirmationsOf(tx, blueScore) >= DEPOSIT_CONFIRMATIONS,
+    acceptingBlueScore: tx.is_accepted ? Number(tx.accepting_block_blue_score) : undefined
+  });
+}
+
+/**
+ * Scan a user's credit address KAS history, from the saved cursor (or the
+ * very beginning with `fromStart`), and move the cursor up to the newest
+ * transaction seen. Throws on API errors without moving the cursor, and
+ * leaves it alone while KAS is not an accepted payment asset.
+ * Deposits shallower than DEPOSIT_CONFIRMATIONS are recorded as pending and
+ * credited once deep enough (next scan, the deposit watcher or
+ * reconcileDeposits()).
+ */
+async function scanKaspaHistory(user, { fromStart = false } = {}) {
+  if (!Array.isArray(user.processedTransactions)) {
+    user.processedTransactions = [];
+  }
+  const walletAddress = user.walletAddress;
+  const totals = { transactions: 0, recorded: 0 };
+  if (!(await paymentAssets.isAccepted('KAS'))) return totals;
+  const cursor = fromStart
+    ? null
+    : await DepositScanCursor.findOne({ walletAddress, coinType: 'KAS' }).lean();
+  const since = cursor && cursor.position ? cursor.position - CURSOR_OVERLAP_MS : 0;
+
+  const outgoing = await outgoingTxids(walletAddress);
+  const blueScore = await virtualBlueScore();
+  let newest = cursor ? cursor.position : 0;
+
+  for await (const transactions of kaspaHistory(creditAddress(user), since)) {
+    for (const tx of transactions) {
+      totals.transactions++;
+      newest = Math.max(newest, Number(tx.block_time) || 0);
+      if (await processKaspaTransaction(user, tx, outgoing, blueScore)) totals.recorded++;
+    }
+  }
+
+  // Disabled mid-scan: its deposits were skipped, read them again later
+  if (await paymentAssets.isAccepted('KAS')) {
+    await DepositScanCursor.updateOne(
+      { walletAddress, coinType: 'KAS' },
+      { $set: { position: newest, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  return totals;
+}
+
+/**
+ * Process Kaspa (KAS) deposits for a single user.
+ */
+async function processUserKaspaDeposits(user) {
+  try {
+    await scanKaspaHistory(user);
+  } catch (err) {
+    console.error(`Error fetching KAS for ${user.walletAddress}:`, err.message);
+  }
+}
+
+/**
+ * Re-scan a wallet's whole KAS history (ignores and then resets its cursor).
+ * Deposits already recorded are left alone; missed ones are recorded.
+ */
+async function backfillKaspaDeposits(walletAddress) {
+  const user = await User.findOne({ walletAddress })
+    .select('walletAddress accountType depositAddress processedTransactions.txid processedTransactions.status')
+    .lean();
   if (!user) {
     throw new Error(`User not found for wallet ${walletAddress}`);
   }
+  if (!creditAddress(user)) return { transactions: 0, recorded: 0 };
+  return scanKaspaHistory(user, { fromStart: true });
+}
 
-  // KASPER
-  await processUserKasperDeposits(user);
-  // KAS
-  await processUserKaspaDeposits(user);
+/**
+ * One transaction from api.kaspa.org, or null if it doesn't know it.
+ */
+async function fetchTransaction(txid) {
+  try {
+    const response = await axios.get(
+      `${KASPA_API}/transactions/${txid}?inputs=false&outputs=false&resolve_previous_outpoints=no`
+    );
+    return response.data;
+  } catch (err) {
+    if (err.response && err.response.status === 404) return null;
+    throw err;
+  }
+}
 
-  await user.save();
+/**
+ * Where one of our own transfers (withdrawal / sweep txids, the last one
+ * paying the destination) stands: 'seen' once api.kaspa.org knows it,
+ * 'dropped' if it still doesn't PENDING_DROP_MS after `sentAt`, else
+ * 'unknown'.
+ */
+async function transferStatus(txids, sentAt) {
+  if (await fetchTransaction(txids[txids.length - 1])) return 'seen';
+  return Date.now() - new Date(sentAt).getTime() > PENDING_DROP_MS ? 'dropped' : 'unknown';
 }
 
 /**
- * initDepositSchedulers() => Disabled or minimal scanning
+ * Re-check recent KAS deposits against the network. Pending ones that are
+ * deep enough get credited; pending ones unaccepted for PENDING_DROP_MS and
+ * credited ones that lost acceptance (reorg) within REVERSAL_WINDOW_MS are
+ * reversed. Pending ones that turn out to be our own withdrawals / sweeps
+ * (outgoingTxids) are reversed without ever being credited. Run
+ * periodically by the worker.
  */
+async function reconcileDeposits() {
+  const now = Date.now();
+  const recent = new Date(now - REVERSAL_WINDOW_MS);
+  const isOpen = (t) => t.coinType === 'KAS' &&
+    (t.status === 'pending' || (t.status === 'confirmed' && t.confirmedAt >= recent));
+
+  const blueScore = await virtualBlueScore();
+  const cursor = User.find({
+    processedTransactions: {
+      $elemMatch: {
+        coinType: 'KAS',
+        $or: [{ status: 'pending' }, { status: 'confirmed', confirmedAt: { $gte: recent } }]
+      }
+    }
+  })
+    .select('walletAddress processedTransactions')
+    .lean()
+    .cursor();
+
+  const totals = { confirmed: 0, reversed: 0 };
+  for await (const user of cursor) {
+    let outgoing = null;
+    for (const deposit of user.processedTransactions.filter(isOpen)) {
+      try {
+        if (deposit.status === 'pending') {
+          outgoing = outgoing || await outgoingTxids(user.walletAddress);
+          if (outgoing.has(deposit.txid)) {
+            const applied = await transitionDeposit(user.walletAddress, deposit.txid, 'pending', 'reversed', {
+              reason: 'Own outgoing transaction'
+            });
+            if (applied) totals.reversed++;
+            continue;
+          }
+        }
+        const tx = await fetchTransaction(deposit.txid);
+        const accepted = Boolean(tx && tx.is_accepted);
+        const stale = now - new Date(deposit.timestamp).getTime() > PENDING_DROP_MS;
+
+        if (deposit.status === 'pending' && accepted && confirmationsOf(tx, blueScore) >= DEPOSIT_CONFIRMATIONS) {
+          const applied = await transitionDeposit(user.walletAddress, deposit.txid, 'pending', 'confirmed', {
+            acceptingBlueScore: Number(tx.accepting_block_blue_score)
+          });
+          if (applied) totals.confirmed++;
+        } else if (deposit.status === 'pending' && !accepted && stale) {
+          const applied = await transitionDeposit(user.walletAddress, deposit.txid, 'pending', 'reversed', {
+            reason: tx ? 'Never accepted' : 'Dropped by the network'
+          });
+          if (applied) totals.reversed++;
+        } else if (deposit.status === 'confirmed' && tx && !tx.is_accepted) {
+          // Only an explicit "not accepted" counts: a missing record may just be indexer lag
+          const applied = await transitionDeposit(user.walletAddress, deposit.txid, 'confirmed', 'reversed', {
+            reason: 'No longer accepted (reorg)'
+          });
+          if (applied) totals.reversed++;
+        }
+      } catch (err) {
+        console.error(`Failed to reconcile deposit ${deposit.txid}:`, err.message);
+      }
+    }
+  }
+  if (totals.confirmed || totals.reversed) {
+    console.log(`Deposit reconciliation: ${totals.confirmed} confirmed, ${totals.reversed} reversed.`);
+  }
+  return totals;
+}
 
-  // If you want minimal scanning, you could do e.g. once daily:
-  // cron.schedule('0 0 * * *', async () => {
-  //   console.log('Daily deposit check for all users...');
-  //   const users = await User.find({});
-  //   for(const user of users) {
-  //     await processUserKasperDeposits(user);
-  //     await processUserKaspaDeposits(user);
-  //     await user.save();
-  //   }
-  // });
+/**
+ * On-demand deposit check for a single user (its credit address; accounts
+ * without a deposit address yet have nothing to scan).
+ */
+async function fetchAndProcessUserDeposits(walletAddress) {
+  const user = await User.findOne({ walletAddress })
+    .select('walletAddress accountType depositAddress processedTransactions.txid processedTransactions.status')
+    .lean();
+  if (!user) {
+    throw new Error(`User not found for wallet ${walletAddress}`);
+  }
+  if (!creditAddress(user)) return;
 
+  // KRC-20: every enabled tick (KASPER, ...)
+  for (const asset of await paymentAssets.enabledKrc20Assets()) {
+    await processUserKrc20Deposits(user, asset);
+  }
+  // KAS
+  await processUserKaspaDeposits(user);
+}
 
 module.exports = {
-  fetchAndProcessUserDeposits
+  DEPOSIT_CONFIRMATIONS,
+  creditAddress,
+  recordDeposit,
+  reverseDeposit,
+  listPendingDeposits,
+  outgoingTxids,
+  transferStatus,
+  fetchAndProcessUserDeposits,
+  backfillKaspaDeposits,
+  reconcileDeposits
 };
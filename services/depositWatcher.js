@@ -0,0 +1,173 @@
+// backend/services/depositWatcher.js
+//
+// Long-lived KAS deposit watcher (runs in the worker). One UtxoContext tracks
+// every user's credit address (depositService.creditAddress: custodial
+// wallets, and the deposit addresses of external / non-custodial accounts)
+// through the node's UTXO subscriptions:
+//   pending   => deposit recorded as pending        + { status: 'pending' }
+//   maturity  => DEPOSIT_CONFIRMATIONS DAA deep: credited (once per txid)
+//                                                   + { status: 'credited' }
+//   discovery => UTXOs that arrived while we were offline; credited if deep
+//                enough, otherwise pending until reconcileDeposits() confirms
+//   reorg     => deposit reversed (credits taken back) + { status: 'reversed' }
+// Notifications go out on the wallet's event channel (GET /wallet/events).
+// POST /scan-deposits keeps working as a manual fallback; recording is
+// idempotent across both paths.
+
+const User = require('../models/User');
+const jobEvents = require('./jobEvents');
+const {
+  DEPOSIT_CONFIRMATIONS,
+  creditAddress,
+  recordDeposit,
+  reverseDeposit,
+  outgoingTxids
+} = require('./depositService');
+const { createUtxoWatcher } = require('../wasm_rpc');
+
+const TRACK_BATCH_SIZE = 500;
+// How often new accounts / deposit addresses are picked up
+const NEW_ADDRESSES_POLL_MS = 60 * 1000;
+const SOMPI_PER_KAS = 1e8;
+// Transaction record type that pays a tracked address without spending from
+// any tracked address (those are 'outgoing' / 'transfer-*' / 'change')
+const INCOMING_TYPES = ['incoming'];
+
+// credit address => wallet address it credits
+const tracked = new Map();
+let watcher = null;
+let running = false;
+let pollTimer = null;
+let currentDaaScore = 0;
+
+/**
+ * Credit addresses not tracked yet (all of them on first call). Deposit
+ * addresses are assigned lazily, so every pass reads the full set.
+ */
+async function loadNewAddresses() {
+  const added = [];
+  const cursor = User.find({})
+    .select('walletAddress accountType depositAddress')
+    .lean()
+    .cursor();
+  for await (const user of cursor) {
+    const address = creditAddress(user);
+    if (address && !tracked.has(address)) {
+      tracked.set(address, user.walletAddress);
+      added.push(address);
+    }
+  }
+  return added;
+}
+
+async function trackAddresses(addresses) {
+  for (let i = 0; i < addresses.length; i += TRACK_BATCH_SIZE) {
+    await watcher.context.trackAddresses(addresses.slice(i, i + TRACK_BATCH_SIZE));
+  }
+}
+
+/**
+ * Sompi paid to each tracked credit address by a transaction record.
+ */
+function amountsByAddress(record) {
+  const entries = (record.data && record.data.data && record.data.data.utxoEntries) || [];
+  const totals = new Map();
+  for (const entry of entries) {
+    const address = entry.address ? entry.address.toString() : null;
+    if (!address || !tracked.has(address)) continue;
+    totals.set(address, (totals.get(address) || 0n) + BigInt(entry.amount));
+  }
+  return totals;
+}
+
+function notify(walletAddress, status, txid, amount) {
+  return jobEvents.publish(jobEvents.walletChannel(walletAddress), 'deposit', {
+    status, coinType: 'KAS', txid, amount
+  });
+}
+
+/**
+ * `event` is 'pending' | 'maturity' | 'discovery' | 'reorg'.
+ */
+async function handleRecord(record, event) {
+  const type = record.type || (record.data && record.data.type);
+  // Reorg records carry the removed entries under their own type
+  if (event !== 'reorg' && !INCOMING_TYPES.includes(type)) return;
+  const txid = record.id;
+
+  for (const [address, sompi] of amountsByAddress(record)) {
+    const walletAddress = tracked.get(address);
+    // Change from our own withdrawals / sweeps is not a deposit
+    if ((await outgoingTxids(walletAddress)).has(txid)) continue;
+    const amount = Number(sompi) / SOMPI_PER_KAS;
+
+    if (event === 'reorg') {
+      if (await reverseDeposit(walletAddress, txid, 'Removed by a reorg')) {
+        await notify(walletAddress, 'reversed', txid, amount);
+      }
+      continue;
+    }
+    let confirmed = event === 'maturity';
+    if (event === 'discovery') {
+      confirmed = currentDaaScore - Number(record.blockDaaScore) >= DEPOSIT_CONFIRMATIONS;
+    }
+    const status = await recordDeposit(walletAddress, { txid, coinType: 'KAS', address, amount, confirmed });
+    if (status) {
+      await notify(walletAddress, status === 'confirmed' ? 'credited' : 'pending', txid, amount);
+    }
+  }
+}
+
+function listen(event) {
+  watcher.processor.addEventListener(event, (e) => {
+    handleRecord(e.data, event)
+      .catch(err => console.error(`Deposit watcher failed on ${event} event:`, err.message || err));
+  });
+}
+
+/**
+ * Start watching every credit address. Resolves once the processor is
+ * started; (re)connections re-register the full address set.
+ */
+async function startDepositWatcher() {
+  if (running) return;
+  running = true;
+  watcher = createUtxoWatcher({ maturityDaa: DEPOSIT_CONFIRMATIONS });
+
+  await loadNewAddresses();
+  watcher.processor.addEventListener('utxo-proc-start', () => {
+    trackAddresses([...tracked.keys()])
+      .then(() => console.log(`Deposit watcher tracking ${tracked.size} addresses`))
+      .catch(err => console.error('Deposit watcher failed to track addresses:', err.message || err));
+  });
+  watcher.processor.addEventListener('daa-score-change', (e) => {
+    currentDaaScore = Number(e.data.currentDaaScore);
+  });
+  listen('pending');
+  listen('maturity');
+  listen('discovery');
+  listen('reorg');
+  watcher.processor.addEventListener('utxo-index-not-enabled', () => {
+    console.error('Deposit watcher: the RPC node has no UTXO index; deposits are not being watched.');
+  });
+
+  await watcher.start();
+
+  pollTimer = setInterval(() => {
+    loadNewAddresses()
+      .then(added => (added.length ? trackAddresses(added) : null))
+      .catch(err => console.error('Deposit watcher failed to load credit addresses:', err.message || err));
+  }, NEW_ADDRESSES_POLL_MS);
+}
+
+async function stopDepositWatcher() {
+  if (!running) return;
+  running = false;
+  clearInterval(pollTimer);
+  await watcher.stop().catch(err => console.error('Deposit watcher shutdown failed:', err.message || err));
+}
+
+module.exports = {
+  startDepositWatcher,
+  stopDepositWatcher
+};
@@ -0,0 +1,230 @@
+// backend/services/generationJobService.js
+//
+// Mongo-backed job store + queue for website generations.
+// The web process only enqueues; worker.js leases jobs, runs them and
+// writes results back. A lease that is not renewed before it expires
+// makes the job visible to other workers again (crash / restart safety).
+
+const GenerationJob = require('../models/GenerationJob');
+const ledger = require('./creditLedger');
+const jobEvents = require('./jobEvents');
+const { resolveProviders } = require('./llmService');
+
+// How long a claimed job stays invisible to other workers without renewal
+const VISIBILITY_TIMEOUT_MS = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+// Jobs are attempted at most this many times before failing for good
+const MAX_JOB_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+// Delay before a failed attempt becomes visible again (doubles per attempt)
+const RETRY_BASE_DELAY_MS = 15 * 1000;
+
+/**
+ * Create the persistent record for a freshly paid generation.
+ */
+async function enqueueJob({ requestId, walletAddress, userInputs }) {
+  return GenerationJob.create({
+    requestId,
+    walletAddress,
+    userInputs,
+    status: 'queued',
+    progress: 0,
+    maxAttempts: MAX_JOB_ATTEMPTS,
+    llmProviders: resolveProviders('site')
+  });
+}
+
+/**
+ * Lean lookup used by /progress, /result and /export.
+ */
+async function getJob(requestId) {
+  if (!requestId) return null;
+  return GenerationJob.findOne({ requestId }).lean();
+}
+
+/**
+ * Lease the oldest runnable job: either queued and due, or in-progress
+ * with an expired lease (its worker died). Returns null when idle.
+ */
+async function claimNextJob(workerId) {
+  const now = new Date();
+  const job = await GenerationJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', availableAt: { $lte: now } },
+        { status: 'in-progress', leaseExpiresAt: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'in-progress',
+        progress: 0,
+        partialCode: null,
+        stage: 'started',
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(now.getTime() + VISIBILITY_TIMEOUT_MS),
+        updatedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { availableAt: 1, createdAt: 1 } }
+  ).lean();
+  if (!job) return null;
+
+  // Lease expired on the final attempt => the job keeps crashing its worker
+  if (job.attempts > job.maxAttempts) {
+    console.error(`Job ${job.requestId} exceeded ${job.maxAttempts} attempts; giving up.`);
+    await failJob(job.requestId, workerId, 'Generation was interrupted too many times.');
+    return claimNextJob(workerId);
+  }
+  await jobEvents.publish(job.requestId, 'stage', { stage: 'started', attempt: job.attempts });
+  return job;
+}
+
+/**
+ * Push the lease forward. Resolves false when the lease was lost
+ * (expired and picked up by another worker).
+ */
+async function extendLease(requestId, workerId) {
+  const now = new Date();
+  const result = await GenerationJob.updateOne(
+    { requestId, status: 'in-progress', leaseOwner: workerId },
+    { $set: { leaseExpiresAt: new Date(now.getTime() + VISIBILITY_TIMEOUT_MS), updatedAt: now } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Patch a leased job's fields. Writes from a worker that lost its
+ * lease are ignored.
+ */
+async function updateJob(requestId, workerId, fields) {
+  return GenerationJob.updateOne(
+    { requestId, status: 'in-progress', leaseOwner: workerId },
+    { $set: { ...fields, updatedAt: new Date() } }
+  );
+}
+
+async function setJobProgress(requestId, workerId, progress) {
+  await updateJob(requestId, workerId, { progress });
+  await jobEvents.publish(requestId, 'progress', { progress });
+}
+
+async function setJobStage(requestId, workerId, stage, progress) {
+  const fields = progress === undefined ? { stage } : { stage, progress };
+  await updateJob(requestId, workerId, fields);
+  await jobEvents.publish(requestId, 'stage', fields);
+}
+
+async function completeJob(requestId, workerId, code) {
+  await updateJob(requestId, workerId, {
+    status: 'done',
+    stage: 'done',
+    progress: 100,
+    code,
+    partialCode: null,
+    error: null,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    finishedAt: new Date()
+  });
+  await jobEvents.publish(requestId, 'done', { progress: 100 });
+}
+
+/**
+ * Mark the job failed for good and give its credit back.
+ */
+async function failJob(requestId, workerId, message) {
+  const error = message || 'Generation failed.';
+  await updateJob(requestId, workerId, {
+    status: 'error',
+    stage: 'error',
+    progress: 100,
+    error,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    finishedAt: new Date()
+  });
+  await refundJob(requestId, error);
+  await jobEvents.publish(requestId, 'error', { error });
+}
+
+/**
+ * A failed attempt: requeue with a delay, or fail if out of attempts.
+ */
+async function retryJob(requestId, workerId, err) {
+  const job = await getJob(requestId);
+  if (!job || job.leaseOwner !== workerId) return;
+
+  if (job.attempts >= job.maxAttempts) {
+    return failJob(requestId, workerId, err.message);
+  }
+  const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+  console.log(`Retrying job ${requestId} in ${delay / 1000}s (attempt ${job.attempts} failed: ${err.message})`);
+  await jobEvents.publish(requestId, 'stage', { stage: 'retrying', progress: 0, retryInMs: delay });
+  return updateJob(requestId, workerId, {
+    status: 'queued',
+    stage: 'retrying',
+    progress: 0,
+    error: err.message,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    availableAt: new Date(Date.now() + delay)
+  });
+}
+
+/**
+ * Hand a leased job back untouched (worker shutting down).
+ */
+async function releaseJob(requestId, workerId) {
+  return GenerationJob.updateOne(
+    { requestId, status: 'in-progress', leaseOwner: workerId },
+    {
+      $set: { status: 'queued', stage: 'queued', progress: 0, leaseOwner: null, leaseExpiresAt: null, availableAt: new Date() },
+      $inc: { attempts: -1 }
+    }
+  );
+}
+
+/**
+ * Give the job's credit back. Idempotent: the ledger allows one refund
+ * per job, however many code paths end up here.
+ */
+async function refundJob(requestId, reason) {
+  const job = await getJob(requestId);
+  if (!job) return false;
+
+  const refunded = await ledger.refund(job.walletAddress, job.creditsCharged, `job:${requestId}`, reason || job.error);
+  await GenerationJob.updateOne({ requestId }, { $set: { refunded: true, updatedAt: new Date() } });
+  return refunded;
+}
+
+/**
+ * Safety net: failed jobs whose refund never ran (e.g. the process died
+ * right after marking them failed). Run periodically by the worker.
+ */
+async function refundFailedJobs() {
+  const unrefunded = await GenerationJob.find({ status: 'error', refunded: false })
+    .select('requestId')
+    .lean();
+  for (const job of unrefunded) {
+    await refundJob(job.requestId)
+      .catch(err => console.error(`Failed to refund job ${job.requestId}:`, err.message));
+  }
+  await ledger.applyPendingRefunds();
+}
+
+module.exports = {
+  VISIBILITY_TIMEOUT_MS,
+  enqueueJob,
+  getJob,
+  claimNextJob,
+  extendLease,
+  updateJob,
+  setJobProgress,
+  setJobStage,
+  completeJob,
+  failJob,
+  retryJob,
+  releaseJob,
+  refundJob,
+  refundFailedJobs
+};
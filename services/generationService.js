@@ -0,0 +1,290 @@
+// backend/services/generationService.js
+
+const jobs = require('./generationJobService');
+const jobEvents = require('./jobEvents');
+const { callLLM, resolveProviders } = require('./llmService');
+const { generateSiteImages } = require('./imageService');
+const { markerInstructions, validateAndRepair, repairPrompt } = require('./siteValidator');
+const { saveSiteRevision } = require('./siteService');
+
+// Rough size of a full site answer; drives progress between 20 and 60
+const EXPECTED_SITE_TOKENS = parseInt(process.env.EXPECTED_SITE_TOKENS, 10) || 8000;
+// ~4 characters per token for English/HTML output
+const CHARS_PER_TOKEN = 4;
+// Partial output is written to the job / event bus at most this often
+const PARTIAL_FLUSH_MS = 1500;
+// Extra model round-trips allowed to fix defects the validator can't repair
+const MAX_REPAIR_REPROMPTS = parseInt(process.env.MAX_REPAIR_REPROMPTS, 10) || 1;
+
+/**
+ * Buffers streamed deltas and periodically flushes them as a `delta` event
+ * plus the accumulated `partialCode` and token-based progress on the job.
+ */
+function createPartialWriter(requestId, workerId) {
+  let full = '';
+  let pending = '';
+  let lastFlush = Date.now();
+  let chain = Promise.resolve();
+
+  const flush = () => {
+    if (!pending) return chain;
+    const text = pending;
+    const partialCode = full;
+    const tokens = Math.round(full.length / CHARS_PER_TOKEN);
+    const progress = 20 + Math.floor(39 * Math.min(1, tokens / EXPECTED_SITE_TOKENS));
+    pending = '';
+    lastFlush = Date.now();
+    chain = chain
+      .then(() => jobEvents.publish(requestId, 'delta', { text, tokens, progress }))
+      .then(() => jobs.updateJob(requestId, workerId, { partialCode, progress }))
+      .catch(err => console.error(`Failed to store partial output for ${requestId}:`, err.message));
+    return chain;
+  };
+
+  return {
+    push(text) {
+      full += text;
+      pending += text;
+      if (Date.now() - lastFlush >= PARTIAL_FLUSH_MS) flush();
+    },
+    flush
+  };
+}
+
+/**************************************************
+ * MAIN background generation function
+ * Runs inside worker.js for a leased job; throwing
+ * hands the job back to the queue for a retry.
+ **************************************************/
+async function doWebsiteGeneration(job, workerId) {
+  const { requestId, userInputs, walletAddress } = job;
+  try {
+    const { coinName, colorPalette, projectType, themeSelection, projectDesc } = userInputs || {};
+    await jobs.setJobStage(requestId, workerId, 'prompting', 10);
+
+    const snippetInspiration = `
+<html>
+<head>
+  <style>
+    /* Example gradient & shimmer */
+    body {
+      margin: 0; padding: 0;
+      font-family: sans-serif;
+    }
+    .shimmer-bg {
+      background: linear-gradient(90deg, rgba(255,255,255,0.1) 0%, rgba(255,255,255,0.3) 50%, rgba(255,255,255,0.1) 100%);
+      background-size:200% 200%;
+      animation: shimmerMove 2s infinite;
+    }
+    @keyframes shimmerMove {
+      0% { background-position:-200% 0; }
+      100% { background-position:200% 0; }
+    }
+  </style>
+</head>
+<body>
+  <!-- snippet with shimmer -->
+</body>
+</html>
+`;
+
+    let systemPrompt = `
+    You are a website building ai for my app. Create a full finished beautiful site each time and Generate the single HTML file with EXACT comment markers for each section: 
+<!-- SECTION: nav -->, <!-- END: NAV --> .  and the file must be like this <!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <style>
+{css}
+  </style>
+</head>
+<body>
+{html}
+</body>
+</html> its integral for my app to work. Make sure to properly layout sites. heading then under it subheading. that type of normal human center vertical layout but give a grid layout to components like cards. The best in the business. utilizing modern styling and css animations. gradients. glass cards.
+- Use a gradient of mainly "${themeSelection}" with a tone of "${colorPalette}" for the color scheming of the background and give an opposite contrast for the components. keep a consistent theming across the site, gradient and nice looks. 
+- Think of the cleanest best websites like apple and others. thats how we need it, not some old 2018 structure.
+- Make all sections fully responsive with strong spacing, advanced transitions, glassmorphism, gradient text, etc. Advanced CSS, fade in animations hover animations etc.
+- For all the sections except nav and footer, first a heading then under it a subheading, then under that the content. stop putting the heading next to the subheading or the subheading next to the content. it has to be stacked like a normal website.
+- Separate sections in this order a nice css js flow between all sections with fade in and those type of anims:
+- Buttons are placeholders only. Not clickable.
+- Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
+- No leftover code fences just the raw output as i will insert to an iframe, no text just code.
+-add some placeholder fluff or extra sections if u think its needed.
+
+Use snippet below for partial inspiration (no code fences):
+${snippetInspiration}
+    `;
+
+    // If NFT or token, add more specifics
+    if (projectType.toLowerCase() === 'nft') {
+      systemPrompt += `
+the file must be like this <!DOCTYPE html>
+<html>
+head
+  <meta charset="utf-8"/>
+  <style>
+{css}
+  </style>
+</head>
+<body>
+{html}
+</body>
+</html>
+     You are a website building ai now building a site for the crypto nft project "${coinName}". here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section:
+     <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an nft website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color palette for tones. and a "${themeSelection}" theme for the site
+      make sure to have all these sections.
+      1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
+        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
+      3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
+      4) A heading and under it a subheading component and then under it a NFT distribution section with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
+      5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
+      6) A heading and under it a subheading component and then under it a collection section with 8 placeholder cards for example nfts. Beatiful looks nicely sized cards, advanced and creative CSS and js
+      6.1) feel free to get creative with this section and make a cool thing for their project named "${coinName}" it should be stunning and eyecatching
+      7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
+    - Buttons are placeholders only. Not clickable.
+    - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
+    - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
+       `;
+    } else {
+      systemPrompt += `
+You are a website building ai now building a site for the crypto token "${coinName}".here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section: 
+        <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an memecoin website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color pallete for tones. and a "${themeSelection}" theme for the site
+         make sure to have all these sections. with all of the requested features. we need everything.
+         1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
+        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
+        3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
+        4) A heading and under it a subheading component and then under it Tokenomics with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
+        5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
+        6) A heading and under it a subheading component and then under it 2 glass-card about section. Beatiful looks nicely sized cards, advanced and creative CSS and js
+        6.1) feel free to get creative with this section and make a cool thing for their project named "${coinName}" it should be stunning and eyecatching
+        7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
+        no leftover code fences. fake buttons.
+         - Buttons are placeholders only. Not clickable.
+        - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
+        - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
+      `;
+    }
+
+    // Exact marker names / placeholders the validator checks for
+    systemPrompt += markerInstructions(projectType);
+
+    await jobs.setJobStage(requestId, workerId, 'generating', 20);
+
+    // Chat Completion (streamed, so the site shows up while it is written).
+    // The provider chain was fixed when the job was queued.
+    const providers = job.llmProviders && job.llmProviders.length ? job.llmProviders : resolveProviders('site');
+    const partial = createPartialWriter(requestId, workerId);
+    let messages;
+    let gptResponse;
+    try {
+      gptResponse = await callLLM(
+        'site',
+        messages = [
+          { role: "system", content: systemPrompt },
+          {
+            role: "user",
+            content: `
+Generate the single HTML file with EXACT sections (nav, hero, etc.). 
+for grapejs put the code in <!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <style>
+{css}
+  </style>
+</head>
+<body>
+{html}
+</body> as an example plus the correct comment markers for each section example <!-- SECTION: nav -->, <!-- END: NAV --> . 
+No leftover code blocks or markdown fences. 
+Ensure it is fully responsive. 
+All advanced animations, glass styling, etc. 
+make sure its formatted for GrapesJS.
+`
+          }
+        ],
+        { stream: true },
+        { onDelta: (text) => partial.push(text) },
+        providers
+      );
+      await partial.flush();
+    } catch (err) {
+      if (err.message.includes("429")) {
+        // Rate limited everywhere => the queue retries the job later
+        console.error("LLM rate limit error in doWebsiteGeneration:", err.message);
+      }
+      throw err;
+    }
+
+    let rawOutput = gptResponse.choices[0].message.content.trim();
+    if (gptResponse.usage) {
+      console.log(`Job ${requestId} used ${gptResponse.usage.completion_tokens} completion tokens (${gptResponse.provider})`);
+    }
+    await jobs.updateJob(requestId, workerId, { llmProvider: gptResponse.provider });
+
+    // Validate: strip chatter, repair markup/markers, re-prompt for the rest
+    await jobs.setJobStage(requestId, workerId, 'validating', 60);
+    let validation = validateAndRepair(rawOutput, projectType);
+    let reprompts = 0;
+    while (validation.defects.length && reprompts < MAX_REPAIR_REPROMPTS) {
+      reprompts++;
+      console.log(`Job ${requestId}: re-prompting for ${validation.defects.length} defect(s)`);
+      const repairResponse = await callLLM(
+        'site',
+        [
+          ...messages,
+          { role: "assistant", content: rawOutput },
+          { role: "user", content: repairPrompt(validation.defects, projectType) }
+        ],
+        {},
+        {},
+        providers
+      );
+      rawOutput = repairResponse.choices[0].message.content.trim();
+      validation = validateAndRepair(rawOutput, projectType);
+    }
+    if (validation.defects.length) {
+      // Still deliver the site; the remaining defects are recorded on the job
+      console.error(`Job ${requestId}: ${validation.defects.length} defect(s) left after validation`);
+    }
+    const siteCode = validation.html;
+    await jobs.updateJob(requestId, workerId, {
+      validation: {
+        fixes: validation.fixes,
+        defects: validation.defects.map(d => d.message),
+        reprompts
+      }
+    });
+    await jobs.setJobStage(requestId, workerId, 'images', 65);
+
+    // Images for NAV/HERO/FOOTER placeholders (65 => 100)
+    const images = await generateSiteImages(requestId, userInputs, (step) =>
+      jobs.setJobProgress(requestId, workerId, step === 1 ? 75 : 95)
+    );
+    const held = await jobs.updateJob(requestId, workerId, { images });
+    if (!held.matchedCount) {
+      // Lease lost: whoever holds the job now saves the site
+      console.error(`Job ${requestId}: lease lost before saving, dropping result`);
+      return;
+    }
+
+    // First revision of the new site, before the job reads as done
+    await saveSiteRevision(requestId, walletAddress, siteCode, {
+      source: 'generation',
+      message: 'Initial generation',
+      userInputs
+    });
+
+    // Save final code
+    await jobs.completeJob(requestId, workerId, siteCode);
+
+  } catch (error) {
+    console.error("Error in background generation:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  doWebsiteGeneration
+};
@@ -0,0 +1,119 @@
+// backend/services/imageService.js
+
+const GeneratedImage = require('../models/GeneratedImage');
+
+/**
+ * OpenAI client for DALL·E images
+ * (Uses the official OpenAI API for images.)
+ */
+const { Configuration, OpenAIApi } = require('openai');
+const openaiImagesConfig = new Configuration({
+  apiKey: process.env.OPENAI_API_KEY,
+  baseURL: "https://api.openai.com/v1"
+});
+const openaiImages = new OpenAIApi(openaiImagesConfig);
+
+// dall-e-2 is the only model that renders the 256x256 logo size
+const IMAGE_MODEL = process.env.OPENAI_IMAGE_MODEL || 'dall-e-2';
+
+// Stored images are served by the API at this path (see GET /images/:id)
+const IMAGE_ROUTE = '/images';
+
+function logoPrompt({ coinName, projectDesc, colorPalette, projectType }) {
+  const what = (projectType || '').toLowerCase() === 'nft' ? 'NFT collection' : 'crypto token';
+  return `A clean, modern, centered logo mark for the ${what} "${coinName}". ` +
+    `Project: ${projectDesc}. Color palette: ${colorPalette}. ` +
+    `Flat vector style, plain background, no text, no watermark.`;
+}
+
+function heroPrompt({ coinName, projectDesc, colorPalette, themeSelection }) {
+  return `An abstract, atmospheric ${themeSelection} website hero background for the crypto project "${coinName}". ` +
+    `Project: ${projectDesc}. Color palette: ${colorPalette}. ` +
+    `Soft gradients and depth, lots of empty space for overlaid text, no text, no logos.`;
+}
+
+/**
+ * Generate one image and keep its bytes in MongoDB.
+ * Resolves to the API path the image is served from.
+ */
+async function generateAndStoreImage(requestId, kind, prompt, size) {
+  const response = await openaiImages.createImage({
+    model: IMAGE_MODEL,
+    prompt,
+    n: 1,
+    size,
+    response_format: 'b64_json'
+  });
+  const b64 = response.data && response.data.data && response.data.data[0] && response.data.data[0].b64_json;
+  if (!b64) {
+    throw new Error(`Image API returned no data for ${kind}`);
+  }
+
+  const image = await GeneratedImage.create({
+    requestId,
+    kind,
+    data: Buffer.from(b64, 'base64'),
+    prompt
+  });
+  return `${IMAGE_ROUTE}/${image._id}`;
+}
+
+/**
+ * Logo (also used in the footer) and hero background for a site.
+ * `onProgress(stepIndex)` fires after each image. A failed image is logged
+ * and skipped so the site itself is still delivered.
+ */
+async function generateSiteImages(requestId, userInputs, onProgress = () => {}) {
+  const images = {};
+
+  try {
+    images.navLogo = await generateAndStoreImage(requestId, 'navLogo', logoPrompt(userInputs), '256x256');
+    images.footerImg = images.navLogo;
+  } catch (err) {
+    console.error(`Logo generation failed for ${requestId}:`, describeImageError(err));
+  }
+  await onProgress(1);
+
+  try {
+    images.heroBg = await generateAndStoreImage(requestId, 'heroBg', heroPrompt(userInputs), '1024x1024');
+  } catch (err) {
+    console.error(`Hero image generation failed for ${requestId}:`, describeImageError(err));
+  }
+  await onProgress(2);
+
+  return images;
+}
+
+function describeImageError(err) {
+  if (err.response && err.response.data) {
+    return `(${err.response.status}) ${JSON.stringify(err.response.data)}`;
+  }
+  return err.message;
+}
+
+/**
+ * Lookup used by GET /images/:id.
+ */
+async function getStoredImage(id) {
+  if (!id || !/^[a-f0-9]{24}$/i.test(id)) return null;
+  return GeneratedImage.findById(id).lean();
+}
+
+/**
+ * Stored image paths are relative to the API; turn them into absolute
+ * URLs so the site also renders outside our origin (iframes, exports).
+ */
+function absolutizeImages(images = {}, baseUrl) {
+  const out = {};
+  for (const [key, value] of Object.entries(images)) {
+    if (!value) continue;
+    out[key] = value.startsWith(`${IMAGE_ROUTE}/`) ? `${baseUrl}${value}` : value;
+  }
+  return out;
+}
+
+module.exports = {
+  generateSiteImages,
+  getStoredImage,
+  absolutizeImages
+};
@@ -0,0 +1,86 @@
+// backend/services/jobEvents.js
+//
+// Cross-process event bus for generation jobs and wallet notifications. The
+// worker inserts into the capped JobEvent collection; each web process keeps
+// ONE tailable cursor on it and fans events out to SSE / WebSocket
+// subscribers in memory.
+
+const EventEmitter = require('events');
+const JobEvent = require('../models/JobEvent');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const TAIL_RETRY_MS = 2000;
+let tailing = false;
+
+/**
+ * Worker side: record an event for a job. Never throws; a lost event only
+ * degrades the live view (clients can still poll /progress).
+ */
+async function publish(requestId, type, data = {}) {
+  try {
+    await JobEvent.create({ requestId, type, data });
+  } catch (err) {
+    console.error(`Failed to publish ${type} event for ${requestId}:`, err.message);
+  }
+}
+
+/**
+ * Channel for a wallet's account notifications (publish/subscribe key).
+ */
+function walletChannel(walletAddress) {
+  return `wallet:${walletAddress}`;
+}
+
+/**
+ * Web side: listen to one job's events. Returns an unsubscribe function.
+ */
+function subscribe(requestId, listener) {
+  emitter.on(requestId, listener);
+  return () => emitter.off(requestId, listener);
+}
+
+/**
+ * Web side: start tailing the capped collection (idempotent). Only events
+ * created after startup are relayed; subscribers get a snapshot from the
+ * GenerationJob document first.
+ */
+function startTailing() {
+  if (tailing) return;
+  tailing = true;
+  let lastId = null;
+  const startedAt = new Date();
+
+  const tail = async () => {
+    const filter = lastId ? { _id: { $gt: lastId } } : { createdAt: { $gte: startedAt } };
+    const cursor = JobEvent.find(filter)
+      .tailable(true, { awaitData: true })
+      .lean()
+      .cursor();
+    try {
+      for await (const event of cursor) {
+        lastId = event._id;
+        emitter.emit(event.requestId, event);
+      }
+    } catch (err) {
+      console.error('Job event tail interrupted:', err.message);
+    }
+    // Cursor died (empty collection, failover, ...) => reopen
+    setTimeout(tail, TAIL_RETRY_MS);
+  };
+
+  JobEvent.init()
+    .then(tail)
+    .catch(err => {
+      console.error('Failed to initialise job events:', err.message);
+      tailing = false;
+    });
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  walletChannel,
+  startTailing
+};
@@ -0,0 +1,116 @@
+// backend/services/keyVault.js
+//
+// Envelope encryption for custodial wallet secrets (xPrv, mnemonic).
+// Each user record gets its own random data key (DEK); the secrets are
+// AES-256-GCM encrypted with it and the DEK itself is stored wrapped by a
+// key-encryption key (KEK) from the environment:
+//
+//   WALLET_KEK_V1=<base64 32 bytes>, WALLET_KEK_V2=..., WALLET_KEK_CURRENT=2
+//
+// Rotating = adding a new KEK version, pointing WALLET_KEK_CURRENT at it and
+// running `npm run rotate-wallet-keys` (re-wraps DEKs, data is untouched).
+// Old versions must stay configured until the rotation has finished.
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function currentKekVersion() {
+  const version = parseInt(process.env.WALLET_KEK_CURRENT, 10) || 1;
+  getKek(version); // fail early when it isn't configured
+  return version;
+}
+
+function getKek(version) {
+  const encoded = process.env[`WALLET_KEK_V${version}`];
+  if (!encoded) {
+    throw new Error(`Wallet KEK version ${version} is not configured (WALLET_KEK_V${version}).`);
+  }
+  const key = Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`WALLET_KEK_V${version} must be 32 bytes, base64 encoded.`);
+  }
+  return key;
+}
+
+// base64(iv | tag | ciphertext)
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+  const raw = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, raw.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Encrypt a wallet's secrets under a fresh data key. The wallet address is
+ * bound in as associated data, so a sealed blob can't be moved to another
+ * user. Returns the `walletSecrets` subdocument stored on the User.
+ */
+function sealWalletSecrets(walletAddress, { xPrv, mnemonic }) {
+  const kekVersion = currentKekVersion();
+  const dataKey = crypto.randomBytes(32);
+  try {
+    return {
+      kekVersion,
+      wrappedKey: seal(getKek(kekVersion), dataKey, `dek:${walletAddress}`),
+      xPrv: seal(dataKey, xPrv, `xprv:${walletAddress}`),
+      mnemonic: seal(dataKey, mnemonic, `mnemonic:${walletAddress}`)
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt a wallet's secrets. Only for code paths that sign transactions
+ * (or show the owner their recovery phrase); never log or return the result
+ * wholesale.
+ */
+function openWalletSecrets(walletAddress, walletSecrets) {
+  if (!walletSecrets || !walletSecrets.wrappedKey) {
+    throw new Error(`No wallet secrets stored for ${walletAddress}.`);
+  }
+  const dataKey = open(getKek(walletSecrets.kekVersion), walletSecrets.wrappedKey, `dek:${walletAddress}`);
+  try {
+    return {
+      xPrv: open(dataKey, walletSecrets.xPrv, `xprv:${walletAddress}`).toString('utf8'),
+      mnemonic: open(dataKey, walletSecrets.mnemonic, `mnemonic:${walletAddress}`).toString('utf8')
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Re-wrap the data key under the current KEK. Returns the updated
+ * subdocument, or null when it already uses the current version.
+ */
+function rewrapWalletSecrets(walletAddress, walletSecrets) {
+  const kekVersion = currentKekVersion();
+  if (walletSecrets.kekVersion === kekVersion) return null;
+  const aad = `dek:${walletAddress}`;
+  const dataKey = open(getKek(walletSecrets.kekVersion), walletSecrets.wrappedKey, aad);
+  try {
+    return { ...walletSecrets, kekVersion, wrappedKey: seal(getKek(kekVersion), dataKey, aad) };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+module.exports = {
+  currentKekVersion,
+  sealWalletSecrets,
+  openWalletSecrets,
+  rewrapWalletSecrets
+};
@@ -0,0 +1,285 @@
+// backend/services/llmService.js
+
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+
+/**************************************************
+ * LLM PROVIDERS
+ * Every provider speaks the OpenAI-compatible
+ * /chat/completions API, so one client serves Qwen
+ * (DashScope), OpenAI and any custom base URL
+ * (e.g. a local mock server).
+ **************************************************/
+const PROVIDERS = {
+  qwen: {
+    label: 'Qwen',
+    baseURL: 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1',
+    apiKey: () => process.env.DASHSCOPE_API_KEY, // must be set in Heroku env
+    models: { site: 'qwen-max-2025-01-25', section: 'qwen-plus' }
+  },
+  openai: {
+    label: 'OpenAI',
+    baseURL: 'https://api.openai.com/v1',
+    apiKey: () => process.env.OPENAI_API_KEY,
+    models: { site: 'gpt-4o', section: 'gpt-4o-mini' }
+  },
+  custom: {
+    label: 'Custom LLM',
+    baseURL: process.env.LLM_CUSTOM_BASE_URL,
+    apiKey: () => process.env.LLM_CUSTOM_API_KEY,
+    models: {
+      site: process.env.LLM_CUSTOM_MODEL,
+      section: process.env.LLM_CUSTOM_SECTION_MODEL || process.env.LLM_CUSTOM_MODEL
+    }
+  }
+};
+
+/**
+ * Provider chain per route ("site" = full generation, "section" =
+ * /generate-section): primary first, then the fallback.
+ * e.g. LLM_SITE_PROVIDER=custom LLM_SITE_FALLBACK=qwen
+ */
+const ROUTE_DEFAULTS = {
+  site:    { primary: 'qwen', fallback: 'openai' },
+  section: { primary: 'qwen', fallback: 'openai' }
+};
+
+/**
+ * Retry policy applied per provider before falling back to the next one:
+ * exponential backoff with jitter, capped, and Retry-After honored when
+ * the provider sends it (unless it asks for longer than we'll wait).
+ */
+const RETRY_POLICY = {
+  maxAttempts:     parseInt(process.env.LLM_MAX_ATTEMPTS, 10) || 3,
+  baseDelayMs:     1000,
+  maxDelayMs:      30 * 1000,
+  maxRetryAfterMs: 60 * 1000
+};
+
+class LLMError extends Error {
+  constructor(provider, status, detail, retryAfterMs) {
+    super(`${PROVIDERS[provider] ? PROVIDERS[provider].label : provider} API error (${status}): ${detail}`);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date.
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retry number `attempt` (1-based). Resolves to null when the
+ * provider's Retry-After is longer than we are willing to wait.
+ */
+function retryDelay(attempt, err) {
+  if (err.retryAfterMs !== undefined) {
+    return err.retryAfterMs <= RETRY_POLICY.maxRetryAfterMs ? err.retryAfterMs : null;
+  }
+  const exp = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * Math.pow(2, attempt - 1));
+  // "Equal jitter": half fixed, half random, so concurrent jobs spread out
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+/**
+ * Provider names to try, in order, for a route. Unknown or
+ * unconfigured providers are dropped.
+ */
+function resolveProviders(route) {
+  const defaults = ROUTE_DEFAULTS[route] || ROUTE_DEFAULTS.site;
+  const key = route.toUpperCase();
+  const primary = process.env[`LLM_${key}_PROVIDER`] || defaults.primary;
+  const fallback = process.env[`LLM_${key}_FALLBACK`] !== undefined
+    ? process.env[`LLM_${key}_FALLBACK`]
+    : defaults.fallback;
+
+  return [primary, fallback]
+    .filter(Boolean)
+    .filter((name, i, all) => all.indexOf(name) === i)
+    .filter(name => {
+      const provider = PROVIDERS[name];
+      if (!provider) {
+        console.error(`Unknown LLM provider "${name}" configured for route ${route}`);
+        return false;
+      }
+      return Boolean(provider.baseURL && provider.models[route]);
+    });
+}
+
+// Worth retrying / trying the next provider: rate limited, provider-side failure, or no response at all
+function isRetryableError(err) {
+  if (!(err instanceof LLMError)) return true;
+  return err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Call a route's providers in order. Each provider is retried on
+ * 429/5xx/network errors per RETRY_POLICY, then we fall back to the
+ * next one. `providers` overrides the configured chain (e.g. the chain
+ * stored on a generation job). Resolves to the completion plus the
+ * `provider` that produced it.
+ *
+ * With `options.stream: true` the response is read as Server-Sent Events;
+ * `handlers.onDelta(text)` fires per chunk and the resolved value has the
+ * same shape as a non-streamed completion. Once a provider has streamed
+ * output we no longer fall back (the caller already saw its text).
+ */
+async function callLLM(route, messages, options = {}, handlers = {}, providers = resolveProviders(route)) {
+  if (!providers.length) {
+    throw new Error(`No LLM provider configured for route "${route}"`);
+  }
+
+  let lastErr;
+  for (let i = 0; i < providers.length; i++) {
+    const name = providers[i];
+    let streamed = false;
+    const onDelta = (text) => {
+      streamed = true;
+      if (handlers.onDelta) handlers.onDelta(text);
+    };
+    for (let attempt = 1; attempt <= RETRY_POLICY.maxAttempts; attempt++) {
+      try {
+        const completion = await callChatCompletion(name, PROVIDERS[name].models[route], messages, options, { onDelta });
+        return { ...completion, provider: name };
+      } catch (err) {
+        lastErr = err;
+        if (streamed || !isRetryableError(err)) throw err;
+
+        const delay = attempt < RETRY_POLICY.maxAttempts ? retryDelay(attempt, err) : null;
+        if (delay === null) break;
+        console.error(`LLM provider ${name} failed for route ${route} (${err.message}); retry ${attempt} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+
+    const next = providers[i + 1];
+    if (!next) break;
+    console.error(`LLM provider ${name} gave up for route ${route} (${lastErr.message}); falling back to ${next}`);
+  }
+  throw lastErr;
+}
+
+/**
+ * One OpenAI-compatible chat completion against a single provider.
+ */
+async function callChatCompletion(providerName, model, messages, options = {}, handlers = {}) {
+  const provider = PROVIDERS[providerName];
+  const url = `${provider.baseURL.replace(/\/+$/, '')}/chat/completions`;
+  const apiKey = provider.apiKey();
+
+  const body = {
+    model,
+    messages,
+    ...options
+  };
+  if (body.stream) {
+    // Final chunk then carries token usage
+    body.stream_options = { include_usage: true, ...(body.stream_options || {}) };
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  // POST request via node-fetch
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    // attempt to parse the error body
+    const errText = await response.text();
+    throw new LLMError(providerName, response.status, errText, parseRetryAfter(response.headers.get('retry-after')));
+  }
+
+  if (body.stream) {
+    return readCompletionStream(providerName, response.body, handlers.onDelta || (() => {}));
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Parse an OpenAI-compatible SSE stream ("data: {...}" lines, ending with
+ * "data: [DONE]") into a single chat completion object.
+ */
+async function readCompletionStream(providerName, stream, onDelta) {
+  // Decoder keeps multi-byte characters split across chunks intact
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  let id = null;
+  let model = null;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return false;
+    const payload = line.slice(5).trim();
+    if (!payload) return false;
+    if (payload === '[DONE]') return true;
+
+    const chunk = JSON.parse(payload);
+    if (chunk.error) {
+      throw new LLMError(providerName, 'stream', JSON.stringify(chunk.error));
+    }
+    id = chunk.id || id;
+    model = chunk.model || model;
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) return false;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+    const text = choice.delta && choice.delta.content;
+    if (text) {
+      content += text;
+      onDelta(text);
+    }
+    return false;
+  };
+
+  for await (const part of stream) {
+    buffered += decoder.write(part);
+    let newline;
+    while ((newline = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, newline).trim();
+      buffered = buffered.slice(newline + 1);
+      if (handleLine(line)) {
+        return buildCompletion();
+      }
+    }
+  }
+  buffered += decoder.end();
+  handleLine(buffered.trim());
+  return buildCompletion();
+
+  function buildCompletion() {
+    return {
+      id,
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+      usage
+    };
+  }
+}
+
+module.exports = {
+  LLMError,
+  resolveProviders,
+  callLLM
+};
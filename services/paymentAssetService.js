@@ -0,0 +1,232 @@
+// backend/services/paymentAssetService.js
+//
+// Payment assets (models/PaymentAsset.js): which coins are credited on
+// deposit and at what rate. KAS and KASPER are seeded with their historic
+// rates; admins add KRC-20 ticks, enable/disable them and schedule rate
+// changes. The rate in force is resolved at read time, so a scheduled
+// change needs no job to take effect.
+
+const axios = require('axios');
+const PaymentAsset = require('../models/PaymentAsset');
+
+const KASPLEX_API = 'https://api.kasplex.org/v1';
+// KRC-20 ticks are 4-6 letters (upper-cased here)
+const TICK_PATTERN = /^[A-Z]{4,6}$/;
+
+const DEFAULT_ASSETS = [
+  { tick: 'KAS', kind: 'native', decimals: 8, creditsPerUnit: 1 },          // 1 credit = 1 KAS
+  { tick: 'KASPER', kind: 'krc20', decimals: 8, creditsPerUnit: 1 / 800 }  // 1 credit = 800 KASPER
+];
+
+class PaymentAssetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentAssetError';
+    this.status = status;
+  }
+}
+
+/**
+ * Insert the default assets that don't exist yet (never overwrites admin edits).
+ */
+async function ensureDefaultAssets() {
+  for (const asset of DEFAULT_ASSETS) {
+    try {
+      await PaymentAsset.updateOne({ tick: asset.tick }, { $setOnInsert: asset }, { upsert: true });
+    } catch (err) {
+      if (err.code !== 11000) throw err; // another process inserted it
+    }
+  }
+}
+
+/**
+ * Credits per unit in force at `at`: the latest scheduled change already
+ * effective, else the base rate.
+ */
+function rateAt(asset, at = new Date()) {
+  let rate = asset.creditsPerUnit;
+  let since = null;
+  for (const change of asset.rateChanges || []) {
+    if (change.effectiveAt <= at && (!since || change.effectiveAt >= since)) {
+      rate = change.creditsPerUnit;
+      since = change.effectiveAt;
+    }
+  }
+  return rate;
+}
+
+/**
+ * Public shape of an asset.
+ */
+function toJSON(asset) {
+  const now = new Date();
+  return {
+    tick: asset.tick,
+    kind: asset.kind,
+    decimals: asset.decimals,
+    enabled: asset.enabled,
+    creditsPerUnit: rateAt(asset, now),
+    scheduledRates: (asset.rateChanges || [])
+      .filter(change => change.effectiveAt > now)
+      .sort((a, b) => a.effectiveAt - b.effectiveAt)
+      .map(change => ({ id: change._id, creditsPerUnit: change.creditsPerUnit, effectiveAt: change.effectiveAt })),
+    updatedAt: asset.updatedAt
+  };
+}
+
+function normalizeTick(tick) {
+  return String(tick || '').trim().toUpperCase();
+}
+
+function validRate(value) {
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new PaymentAssetError("creditsPerUnit must be a positive number.");
+  }
+  return rate;
+}
+
+async function findAsset(tick) {
+  const asset = await PaymentAsset.findOne({ tick: normalizeTick(tick) });
+  if (!asset) throw new PaymentAssetError(`Unknown payment asset ${tick}.`, 404);
+  return asset;
+}
+
+/**
+ * Decimals of a deployed KRC-20 token, from kasplex.
+ */
+async function fetchKrc20Decimals(tick) {
+  const response = await axios.get(`${KASPLEX_API}/krc20/token/${tick}`);
+  const token = response.data.message === "successful" && (response.data.result || [])[0];
+  const decimals = token ? parseInt(token.dec, 10) : NaN;
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new PaymentAssetError(`KRC-20 token ${tick} not found on kasplex.`, 404);
+  }
+  return decimals;
+}
+
+/**
+ * All assets (`enabledOnly` for what is accepted right now).
+ */
+async function listAssets({ enabledOnly = false } = {}) {
+  const assets = await PaymentAsset.find(enabledOnly ? { enabled: true } : {}).sort({ tick: 1 }).lean();
+  return assets.map(toJSON);
+}
+
+/**
+ * Enabled KRC-20 assets, for the deposit scanners.
+ */
+async function enabledKrc20Assets() {
+  return PaymentAsset.find({ kind: 'krc20', enabled: true }).select('tick decimals').lean();
+}
+
+/**
+ * True while deposits of `tick` are credited (known and enabled).
+ */
+async function isAccepted(tick) {
+  return Boolean(await PaymentAsset.exists({ tick: normalizeTick(tick), enabled: true }));
+}
+
+/**
+ * Rate in force for an asset, enabled or not; null for unknown ticks.
+ */
+async function currentRate(tick) {
+  const asset = await PaymentAsset.findOne({ tick: normalizeTick(tick) }).lean();
+  return asset ? rateAt(asset) : null;
+}
+
+/**
+ * Credits a deposit of `amount` units is worth now; null when the asset is
+ * unknown or disabled (not accepted as payment).
+ */
+async function creditsFor(tick, amount) {
+  const asset = await PaymentAsset.findOne({ tick: normalizeTick(tick), enabled: true }).lean();
+  return asset ? amount * rateAt(asset) : null;
+}
+
+/**
+ * Admin: accept a new KRC-20 tick. Decimals always come from kasplex, so
+ * deposits are scaled the way the token was deployed.
+ */
+async function createAsset({ tick, creditsPerUnit, enabled = true }) {
+  const normalized = normalizeTick(tick);
+  if (!TICK_PATTERN.test(normalized)) {
+    throw new PaymentAssetError("tick must be 4-6 letters.");
+  }
+  const rate = validRate(creditsPerUnit);
+  const dec = await fetchKrc20Decimals(normalized);
+  try {
+    const asset = await PaymentAsset.create({
+      tick: normalized,
+      kind: 'krc20',
+      decimals: dec,
+      creditsPerUnit: rate,
+      enabled: Boolean(enabled)
+    });
+    return toJSON(asset);
+  } catch (err) {
+    if (err.code === 11000) throw new PaymentAssetError(`${normalized} already exists.`, 409);
+    throw err;
+  }
+}
+
+/**
+ * Admin: enable/disable an asset, or change its base rate now.
+ */
+async function updateAsset(tick, { enabled, creditsPerUnit }) {
+  const asset = await findAsset(tick);
+  if (enabled !== undefined) asset.enabled = Boolean(enabled);
+  if (creditsPerUnit !== undefined) {
+    // An immediate change supersedes the changes already in force
+    asset.creditsPerUnit = validRate(creditsPerUnit);
+    asset.rateChanges = asset.rateChanges.filter(change => change.effectiveAt > new Date());
+  }
+  asset.updatedAt = new Date();
+  await asset.save();
+  return toJSON(asset);
+}
+
+/**
+ * Admin: schedule a rate change for a future time.
+ */
+async function scheduleRateChange(tick, { creditsPerUnit, effectiveAt }) {
+  const rate = validRate(creditsPerUnit);
+  const at = new Date(effectiveAt);
+  if (Number.isNaN(at.getTime()) || at <= new Date()) {
+    throw new PaymentAssetError("effectiveAt must be a future date.");
+  }
+  const asset = await findAsset(tick);
+  asset.rateChanges.push({ creditsPerUnit: rate, effectiveAt: at });
+  asset.updatedAt = new Date();
+  await asset.save();
+  return toJSON(asset);
+}
+
+/**
+ * Admin: drop a scheduled rate change that hasn't taken effect yet.
+ */
+async function cancelRateChange(tick, changeId) {
+  const asset = await findAsset(tick);
+  const change = asset.rateChanges.find(c => String(c._id) === String(changeId));
+  if (!change || change.effectiveAt <= new Date()) {
+    throw new PaymentAssetError("No pending rate change with that id.", 404);
+  }
+  asset.rateChanges.pull(change._id);
+  asset.updatedAt = new Date();
+  await asset.save();
+  return toJSON(asset);
+}
+
+module.exports = {
+  PaymentAssetError,
+  ensureDefaultAssets,
+  listAssets,
+  enabledKrc20Assets,
+  isAccepted,
+  currentRate,
+  creditsFor,
+  createAsset,
+  updateAsset,
+  scheduleRateChange,
+  cancelRateChange
+};
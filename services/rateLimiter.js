@@ -0,0 +1,59 @@
+// backend/services/rateLimiter.js
+//
+// Mongo-backed fixed-window rate limiting for sensitive endpoints, so the
+// limit holds across every web process.
+
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Count one attempt against `key`. Resolves to { allowed, retryAfterMs }.
+ */
+async function consume(key, { limit, windowMs }) {
+  const now = new Date();
+  const current = await RateLimit.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  ).lean();
+  if (current) {
+    return { allowed: current.count <= limit, retryAfterMs: current.expiresAt - now };
+  }
+
+  // No open window: start one (replacing an ended window the TTL monitor hasn't removed yet)
+  try {
+    await RateLimit.updateOne(
+      { key, expiresAt: { $lte: now } },
+      { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+    return { allowed: limit >= 1, retryAfterMs: windowMs };
+  } catch (err) {
+    // Another request opened the window first
+    if (err.code === 11000) return consume(key, { limit, windowMs });
+    throw err;
+  }
+}
+
+/**
+ * Express middleware: 429 once `keyFn(req)` exceeds `limit` per window.
+ */
+function rateLimit(name, { limit, windowMs, keyFn }) {
+  return async (req, res, next) => {
+    try {
+      const { allowed, retryAfterMs } = await consume(`${name}:${keyFn(req)}`, { limit, windowMs });
+      if (!allowed) {
+        res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+        return res.status(429).json({ success: false, error: "Too many attempts. Try again later." });
+      }
+      return next();
+    } catch (err) {
+      console.error(`Rate limit check failed (${name}):`, err);
+      return res.status(500).json({ success: false, error: "Internal server error." });
+    }
+  };
+}
+
+module.exports = {
+  consume,
+  rateLimit
+};
@@ -0,0 +1,149 @@
+// backend/services/siteDiff.js
+//
+// Line diff + section-level summary between two versions of a site.
+
+const siteDocument = require('./siteDocument');
+
+// Above this many LCS cells (after trimming common prefix/suffix) the
+// middle is reported as one replaced block instead of a precise diff.
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+const CONTEXT_LINES = 3;
+
+/**
+ * Line-level edit script: [{ op: ' ' | '-' | '+', line }].
+ */
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const ops = a.slice(0, prefix).map(line => ({ op: ' ', line }));
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    midA.forEach(line => ops.push({ op: '-', line }));
+    midB.forEach(line => ops.push({ op: '+', line }));
+  } else {
+    ops.push(...lcsDiff(midA, midB));
+  }
+
+  a.slice(a.length - suffix).forEach(line => ops.push({ op: ' ', line }));
+  return ops;
+}
+
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lengths[i][j] = LCS of a[i..] and b[j..], flattened
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push({ op: '-', line: a[i++] });
+    } else {
+      ops.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: a[i++] });
+  while (j < m) ops.push({ op: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Group an edit script into unified-diff style hunks with context.
+ */
+function toHunks(ops) {
+  const changes = [];
+  ops.forEach((op, index) => {
+    if (op.op !== ' ') changes.push(index);
+  });
+
+  // Changes closer than 2x context share a hunk
+  const groups = [];
+  for (const index of changes) {
+    const group = groups[groups.length - 1];
+    if (group && index - group.last <= CONTEXT_LINES * 2) {
+      group.last = index;
+    } else {
+      groups.push({ first: index, last: index });
+    }
+  }
+
+  // 1-based line numbers in before/after at each op index
+  const lineA = [];
+  const lineB = [];
+  let a = 1;
+  let b = 1;
+  for (const op of ops) {
+    lineA.push(a);
+    lineB.push(b);
+    if (op.op !== '+') a++;
+    if (op.op !== '-') b++;
+  }
+
+  return groups.map(({ first, last }) => {
+    const start = Math.max(0, first - CONTEXT_LINES);
+    const end = Math.min(ops.length - 1, last + CONTEXT_LINES);
+    return {
+      fromLine: lineA[start],
+      toLine: lineB[start],
+      lines: ops.slice(start, end + 1).map(op => `${op.op}${op.line}`)
+    };
+  });
+}
+
+/**
+ * Section/style level summary of a change, stored with every revision.
+ */
+function summarize(before, after, ops = diffLines(before, after)) {
+  const docA = siteDocument.parse(before || '');
+  const docB = siteDocument.parse(after || '');
+  const sectionsA = new Map(docA.sections.map(s => [s.name, s.html]));
+  const sectionsB = new Map(docB.sections.map(s => [s.name, s.html]));
+
+  return {
+    linesAdded: ops.filter(o => o.op === '+').length,
+    linesRemoved: ops.filter(o => o.op === '-').length,
+    sectionsAdded: [...sectionsB.keys()].filter(name => !sectionsA.has(name)),
+    sectionsRemoved: [...sectionsA.keys()].filter(name => !sectionsB.has(name)),
+    sectionsChanged: [...sectionsB.keys()].filter(name => sectionsA.has(name) && sectionsA.get(name) !== sectionsB.get(name)),
+    stylesChanged: siteDocument.sharedCss(docA).join('\n') !== siteDocument.sharedCss(docB).join('\n')
+  };
+}
+
+/**
+ * Full diff between two contents: { summary, hunks }.
+ */
+function diffSites(before, after) {
+  const ops = diffLines(before, after);
+  return { summary: summarize(before, after, ops), hunks: toHunks(ops) };
+}
+
+module.exports = {
+  diffLines,
+  summarize,
+  diffSites
+};
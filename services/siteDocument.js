@@ -0,0 +1,174 @@
+// backend/services/siteDocument.js
+//
+// Section-aware model of a generated site. The prompts wrap every section
+// in <!-- SECTION: name --> ... <!-- END: NAME --> (GrapesJS relies on it);
+// this splits a site into:
+//
+//   head      everything before the first section (doctype, <head>, <body>)
+//   sections  [{ name, html, gapBefore, startMarker, endMarker }]
+//   tail      everything after the last section (trailing scripts, </body>)
+//
+// plus read-only views of the shared CSS (<style>) and JS (<script> outside
+// sections). serialize(parse(html)) === html for well-formed documents.
+
+const SECTION_RE = /<!--\s*SECTION:\s*([\w-]+)\s*-->/gi;
+
+function endMarkerRe(name) {
+  return new RegExp(`<!--\\s*END:\\s*${name}\\s*-->`, 'i');
+}
+
+// Per-section style block written by setSectionCss()
+function sectionStyleRe(name) {
+  return new RegExp(`\\s*<style data-section-styles="${name}">[\\s\\S]*?<\\/style>`, 'i');
+}
+
+function collectBlocks(html, tag, skipAttrs) {
+  const blocks = [];
+  const re = new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)<\\/${tag}\\s*>`, 'gi');
+  let match;
+  while ((match = re.exec(html))) {
+    // External scripts (<script src>) have no inline code worth exposing
+    if (tag === 'script' && /\ssrc\s*=/.test(match[1])) continue;
+    if (skipAttrs && skipAttrs.test(match[1])) continue;
+    blocks.push(match[2].trim());
+  }
+  return blocks.filter(Boolean);
+}
+
+/**
+ * Split a site into head / sections / tail. A section missing its END
+ * marker runs up to the next section (or </body>) and gets a normalized
+ * END marker when serialized.
+ */
+function parse(html) {
+  const source = html || '';
+  const starts = [];
+  let match;
+  SECTION_RE.lastIndex = 0;
+  while ((match = SECTION_RE.exec(source))) {
+    starts.push({ name: match[1].toLowerCase(), marker: match[0], index: match.index, contentStart: SECTION_RE.lastIndex });
+  }
+
+  if (!starts.length) {
+    return { head: source, sections: [], tail: '' };
+  }
+
+  const bodyClose = source.search(/<\/body\s*>/i);
+  const sections = [];
+  let cursor = starts[0].index;
+  const head = source.slice(0, cursor);
+
+  starts.forEach((start, i) => {
+    const limit = i + 1 < starts.length
+      ? starts[i + 1].index
+      : (bodyClose > start.contentStart ? bodyClose : source.length);
+    const region = source.slice(start.contentStart, limit);
+    const end = region.match(endMarkerRe(start.name));
+
+    let html;
+    let endMarker;
+    let after;
+    if (end) {
+      html = region.slice(0, end.index);
+      endMarker = end[0];
+      after = start.contentStart + end.index + end[0].length;
+    } else {
+      html = region;
+      endMarker = `<!-- END: ${start.name.toUpperCase()} -->`;
+      after = limit;
+    }
+
+    sections.push({
+      name: start.name,
+      html,
+      gapBefore: source.slice(cursor, start.index),
+      startMarker: start.marker,
+      endMarker
+    });
+    cursor = after;
+  });
+
+  return { head, sections, tail: source.slice(cursor) };
+}
+
+/**
+ * Inverse of parse().
+ */
+function serialize(doc) {
+  const body = doc.sections.map(section =>
+    `${section.gapBefore || ''}${section.startMarker || `<!-- SECTION: ${section.name} -->`}` +
+    `${section.html}${section.endMarker || `<!-- END: ${section.name.toUpperCase()} -->`}`
+  ).join('');
+  return `${doc.head}${body}${doc.tail}`;
+}
+
+/**
+ * Shared CSS: <style> blocks outside the sections, optionally without
+ * one section's own style block.
+ */
+function sharedCss(doc, excludeSection) {
+  const skip = excludeSection ? new RegExp(`data-section-styles="${excludeSection}"`, 'i') : null;
+  return collectBlocks(`${doc.head}\n${doc.tail}`, 'style', skip);
+}
+
+/**
+ * Shared JS: inline <script> blocks outside the sections.
+ */
+function sharedJs(doc) {
+  return collectBlocks(`${doc.head}\n${doc.tail}`, 'script');
+}
+
+function findSection(doc, name) {
+  const wanted = (name || '').toLowerCase();
+  return doc.sections.find(section => section.name === wanted) || null;
+}
+
+/**
+ * Replace a section's inner HTML (markers are kept). Returns false when
+ * the section doesn't exist.
+ */
+function replaceSection(doc, name, html) {
+  const section = findSection(doc, name);
+  if (!section) return false;
+  section.html = html;
+  return true;
+}
+
+/**
+ * Replace (or add, before </head>) the style block owned by a section.
+ * Empty css removes it.
+ */
+function setSectionCss(doc, name, css) {
+  const block = css ? `\n<style data-section-styles="${name}">\n${css}\n</style>` : '';
+  const existing = sectionStyleRe(name);
+  if (existing.test(doc.head)) {
+    doc.head = doc.head.replace(existing, block);
+  } else if (block) {
+    const headClose = doc.head.search(/<\/head\s*>/i);
+    doc.head = headClose === -1
+      ? `${block}\n${doc.head}`
+      : `${doc.head.slice(0, headClose)}${block}\n${doc.head.slice(headClose)}`;
+  }
+}
+
+/**
+ * Public JSON shape for the API.
+ */
+function toJSON(doc) {
+  return {
+    sections: doc.sections.map((section, order) => ({ name: section.name, order, html: section.html })),
+    css: sharedCss(doc),
+    js: sharedJs(doc)
+  };
+}
+
+module.exports = {
+  parse,
+  serialize,
+  sharedCss,
+  sharedJs,
+  findSection,
+  replaceSection,
+  setSectionCss,
+  toJSON
+};
@@ -0,0 +1,361 @@
+// backend/services/siteService.js
+
+const mongoose = require('mongoose');
+const GenerationJob = require('../models/GenerationJob');
+const Site = require('../models/Site');
+const SiteRevision = require('../models/SiteRevision');
+const siteDocument = require('./siteDocument');
+const siteDiff = require('./siteDiff');
+const { mergeSectionCss } = require('./cssMerge');
+
+/**
+ * Site by its id or by the requestId of the generation that created it.
+ */
+async function findSite(id) {
+  if (!id) return null;
+  if (/^[a-f0-9]{24}$/i.test(id)) {
+    const site = await Site.findById(id);
+    if (site) return site;
+  }
+  return Site.findOne({ requestId: id });
+}
+
+/**
+ * Site for a generation, created on first use.
+ */
+async function ensureSite(requestId, walletAddress, userInputs) {
+  if (!userInputs) {
+    const job = await GenerationJob.findOne({ requestId }).select('userInputs').lean();
+    userInputs = job ? job.userInputs : {};
+  }
+  userInputs = userInputs || {};
+  return Site.findOneAndUpdate(
+    { requestId },
+    {
+      $setOnInsert: {
+        requestId,
+        walletAddress,
+        userInputs,
+        coinName: userInputs.coinName,
+        projectType: userInputs.projectType,
+        title: userInputs.coinName ? `${userInputs.coinName} website` : 'Untitled site',
+        createdAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Append a revision and (unless makeCurrent is false) make it the current
+ * one. Numbers are reserved atomically, so concurrent saves get distinct
+ * revisions.
+ */
+async function createRevision(site, {
+  content, author, source, message, restoredFrom = null, createdAt = new Date(), makeCurrent = true
+}) {
+  const fresh = await Site.findById(site._id).select('currentRevision').lean();
+  const previous = fresh && fresh.currentRevision
+    ? await SiteRevision.findOne({ siteId: site._id, number: fresh.currentRevision }).select('content').lean()
+    : null;
+
+  const bumped = await Site.findByIdAndUpdate(site._id, { $inc: { revisionCount: 1 } }, { new: true });
+  const number = bumped.revisionCount;
+
+  const revision = await SiteRevision.create({
+    siteId: site._id,
+    number,
+    content,
+    author,
+    source,
+    message,
+    restoredFrom,
+    diffSummary: siteDiff.summarize(previous ? previous.content : '', content),
+    size: content.length,
+    createdAt
+  });
+  if (makeCurrent) {
+    await Site.updateOne(
+      { _id: site._id, currentRevision: { $lt: number } },
+      { $set: { currentRevision: number, updatedAt: createdAt } }
+    );
+  }
+  return revision;
+}
+
+/**
+ * Current content of a site (by site id or requestId).
+ * Resolves to { siteId, requestId, walletAddress, content, images,
+ * userInputs, revision } or null.
+ */
+async function loadSiteContent(id) {
+  if (!id) return null;
+
+  const site = await findSite(id);
+  if (site && site.currentRevision) {
+    const revision = await SiteRevision.findOne({ siteId: site._id, number: site.currentRevision })
+      .select('content number')
+      .lean();
+    const siteJob = site.requestId
+      ? await GenerationJob.findOne({ requestId: site.requestId }).select('images').lean()
+      : null;
+    if (revision) {
+      return {
+        siteId: site._id,
+        requestId: site.requestId,
+        walletAddress: site.walletAddress,
+        content: revision.content,
+        images: siteJob ? siteJob.images : {},
+        userInputs: site.userInputs || {},
+        revision: revision.number
+      };
+    }
+  }
+
+  // Finished generation whose site hasn't been stored yet
+  const requestId = id;
+  const job = await GenerationJob.findOne({ requestId })
+    .select('walletAddress status code images userInputs')
+    .lean();
+  if (job && job.status === 'done') {
+    return {
+      requestId,
+      walletAddress: job.walletAddress,
+      content: job.code,
+      images: job.images,
+      userInputs: job.userInputs
+    };
+  }
+  return null;
+}
+
+/**
+ * Split a model's answer for one section into its markup and its CSS:
+ * code fences, document wrappers and section markers are dropped.
+ */
+function extractSectionOutput(raw) {
+  let html = (raw || '').replace(/```[a-zA-Z]*\s*/g, '');
+  const styles = [];
+  html = html.replace(/<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi, (m, css) => {
+    styles.push(css.trim());
+    return '';
+  });
+  const body = html.match(/<body\b[^>]*>([\s\S]*?)(<\/body\s*>|$)/i);
+  if (body) html = body[1];
+  html = html
+    .replace(/<!DOCTYPE[^>]*>|<\/?(html|head|body)\b[^>]*>|<meta\b[^>]*>|<title\b[^>]*>[\s\S]*?<\/title\s*>/gi, '')
+    .replace(/<!--\s*(SECTION|END):\s*[\w-]+\s*-->/gi, '');
+  // Prose before the first tag / after the last one
+  const first = html.indexOf('<');
+  const last = html.lastIndexOf('>');
+  html = first === -1 ? '' : html.slice(first, last + 1);
+  return { html: html.trim(), css: styles.join('\n') };
+}
+
+/**
+ * Tag the section's first element so scoped CSS can target it.
+ */
+function tagSectionRoot(html, name) {
+  if (new RegExp(`data-section="${name}"`).test(html)) return html;
+  return html.replace(/<([a-zA-Z][\w-]*)(\s|>|\/>)/, `<$1 data-section="${name}"$2`);
+}
+
+/**
+ * Splice a regenerated section into a site: the section body between its
+ * markers is replaced and its CSS is merged (deduped / scoped against the
+ * rest of the site) into a per-section style block.
+ * Resolves to { content, sectionHtml } or null when the section is missing.
+ */
+function mergeRegeneratedSection(content, sectionName, llmOutput) {
+  const doc = siteDocument.parse(content);
+  const name = sectionName.toLowerCase();
+  if (!siteDocument.findSection(doc, name)) return null;
+
+  const { html, css } = extractSectionOutput(llmOutput);
+  if (!html) {
+    throw new Error(`Model returned no markup for section ${name}`);
+  }
+  const sectionHtml = `\n${tagSectionRoot(html, name)}\n`;
+  const scope = `[data-section="${name}"]`;
+  const mergedCss = mergeSectionCss(siteDocument.sharedCss(doc, name), css, scope);
+
+  siteDocument.replaceSection(doc, name, sectionHtml);
+  siteDocument.setSectionCss(doc, name, mergedCss);
+  return { content: siteDocument.serialize(doc), sectionHtml };
+}
+
+/**
+ * Store a new revision of the site created by `requestId` (creating the
+ * site if needed). Resolves to the revision, or null when the site belongs
+ * to another wallet.
+ */
+async function saveSiteRevision(requestId, walletAddress, content, { source = 'save', message, userInputs } = {}) {
+  const site = await ensureSite(requestId, walletAddress, userInputs);
+  if (site.walletAddress !== walletAddress) return null;
+
+  return createRevision(site, { content, author: walletAddress, source, message });
+}
+
+/**
+ * Revision metadata (no content), newest first.
+ */
+async function listRevisions(site) {
+  return SiteRevision.find({ siteId: site._id })
+    .select('-content')
+    .sort({ number: -1 })
+    .lean();
+}
+
+async function getRevision(site, number) {
+  return SiteRevision.findOne({ siteId: site._id, number }).lean();
+}
+
+/**
+ * Diff two revisions of a site: { from, to, summary, hunks } or null if
+ * either revision doesn't exist.
+ */
+async function diffRevisions(site, fromNumber, toNumber) {
+  const [from, to] = await Promise.all([getRevision(site, fromNumber), getRevision(site, toNumber)]);
+  if (!from || !to) return null;
+  return { from: from.number, to: to.number, ...siteDiff.diffSites(from.content, to.content) };
+}
+
+/**
+ * Restoring never rewrites history: the old content becomes a new revision.
+ */
+async function restoreRevision(site, number, author) {
+  const old = await getRevision(site, number);
+  if (!old) return null;
+  return createRevision(site, {
+    content: old.content,
+    author,
+    source: 'restore',
+    message: `Restored revision ${number}`,
+    restoredFrom: number
+  });
+}
+
+// Listing: sortable fields and page size bounds
+const LIST_SORT_FIELDS = ['updatedAt', 'createdAt', 'title'];
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+
+function listQueryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function encodeCursor(site, sort) {
+  const value = site[sort] instanceof Date ? site[sort].toISOString() : (site[sort] ?? null);
+  return Buffer.from(JSON.stringify({ v: value, id: String(site._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!/^[a-f0-9]{24}$/i.test(id)) throw new Error('bad id');
+    return { value: sort === 'title' || v === null ? v : new Date(v), id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw listQueryError('Invalid cursor.');
+  }
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw listQueryError(`Invalid ${name} date.`);
+  return date;
+}
+
+/**
+ * One page of a wallet's sites, metadata only (content is fetched per
+ * site). Options (all optional, as strings from the query):
+ *   limit, sort (updatedAt|createdAt|title), order (asc|desc),
+ *   projectType, from / to (createdAt range), cursor (from a previous page).
+ * Resolves to { items, nextCursor }; bad options throw with err.status 400.
+ */
+async function listSitesPage(walletAddress, options = {}) {
+  const sort = options.sort || 'updatedAt';
+  if (!LIST_SORT_FIELDS.includes(sort)) {
+    throw listQueryError(`sort must be one of ${LIST_SORT_FIELDS.join(', ')}.`);
+  }
+  const order = options.order === 'asc' ? 1 : -1;
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+
+  const filter = { walletAddress };
+  if (options.projectType) filter.projectType = options.projectType;
+  const from = parseDate(options.from, 'from');
+  const to = parseDate(options.to, 'to');
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  // Keyset pagination on (sort field, _id)
+  const conditions = [filter];
+  if (options.cursor) {
+    const after = decodeCursor(options.cursor, sort);
+    const cmp = order === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { [sort]: { [cmp]: after.value } },
+        { [sort]: after.value, _id: { [cmp]: after.id } }
+      ]
+    });
+  }
+
+  const sites = await Site.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .select('requestId title coinName projectType currentRevision createdAt updatedAt')
+    .sort({ [sort]: order, _id: order })
+    .limit(limit + 1)
+    .lean();
+  const hasMore = sites.length > limit;
+  const page = sites.slice(0, limit);
+
+  // Size of the current revisions and thumbnails (nav logo) in two queries
+  const [revisions, siteJobs] = await Promise.all([
+    page.length
+      ? SiteRevision.find({ $or: page.map(site => ({ siteId: site._id, number: site.currentRevision })) })
+        .select('siteId size')
+        .lean()
+      : [],
+    GenerationJob.find({ requestId: { $in: page.map(site => site.requestId).filter(Boolean) } })
+      .select('requestId images.navLogo')
+      .lean()
+  ]);
+  const sizes = new Map(revisions.map(rev => [String(rev.siteId), rev.size]));
+  const logos = new Map(siteJobs.map(job => [job.requestId, job.images && job.images.navLogo]));
+
+  return {
+    items: page.map(site => ({
+      siteId: site._id,
+      requestId: site.requestId,
+      title: site.title,
+      coinName: site.coinName,
+      projectType: site.projectType,
+      thumbnail: logos.get(site.requestId) || null,
+      size: sizes.get(String(site._id)) || 0,
+      revision: site.currentRevision,
+      createdAt: site.createdAt,
+      updatedAt: site.updatedAt
+    })),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+  };
+}
+
+module.exports = {
+  findSite,
+  ensureSite,
+  createRevision,
+  listSitesPage,
+  loadSiteContent,
+  extractSectionOutput,
+  mergeRegeneratedSection,
+  saveSiteRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -0,0 +1,284 @@
+// backend/services/siteValidator.js
+//
+// Validation + deterministic repair of LLM-generated sites.
+// The prompts ask for one HTML file with <!-- SECTION: x --> / <!-- END: X -->
+// markers per section (GrapesJS relies on them) and image placeholders we
+// substitute later. Anything we can fix mechanically is fixed here; what we
+// can't (missing sections/placeholders) is reported as defects so the caller
+// can re-prompt the model.
+
+// Sections (and their marker names) each project type must contain, in order
+const REQUIRED_SECTIONS = {
+  token: ['nav', 'hero', 'roadmap', 'tokenomics', 'exchange', 'about', 'footer'],
+  nft:   ['nav', 'hero', 'roadmap', 'distribution', 'exchange', 'collection', 'footer']
+};
+
+const REQUIRED_PLACEHOLDERS = ['NAV_IMAGE_PLACEHOLDER', 'HERO_BG_PLACEHOLDER', 'FOOTER_IMAGE_PLACEHOLDER'];
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'param', 'source', 'track', 'wbr'
+]);
+// Elements whose content is raw text (never parsed for tags)
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+// Elements browsers close implicitly; an unclosed one is not a defect
+const OPTIONAL_CLOSE = new Set(['li', 'p', 'td', 'th', 'tr', 'thead', 'tbody', 'tfoot', 'option', 'dt', 'dd']);
+
+const SECTION_RE = /<!--\s*SECTION:\s*([\w-]+)\s*-->/gi;
+const END_RE = /<!--\s*END:\s*([\w-]+)\s*-->/gi;
+
+function requiredSections(projectType) {
+  return REQUIRED_SECTIONS[(projectType || '').toLowerCase()] || REQUIRED_SECTIONS.token;
+}
+
+/**
+ * Prompt fragment telling the model exactly which markers we validate.
+ */
+function markerInstructions(projectType) {
+  const names = requiredSections(projectType);
+  const example = names.map(n => `<!-- SECTION: ${n} --> ... <!-- END: ${n.toUpperCase()} -->`).join('\n');
+  return `
+Wrap every section in comment markers using EXACTLY these names, in this order:
+${example}
+Use the image placeholders ${REQUIRED_PLACEHOLDERS.join(', ')} verbatim.
+Start the output with <!DOCTYPE html> and end it with </html>.`;
+}
+
+/**
+ * Drop markdown fences and any prose before <!DOCTYPE>/<html> or after </html>.
+ */
+function stripChatter(raw) {
+  let html = (raw || '').replace(/```[a-zA-Z]*\s*/g, '');
+  const start = html.search(/<!DOCTYPE\s+html|<html[\s>]/i);
+  if (start > 0) html = html.slice(start);
+  const endMatch = html.match(/<\/html\s*>(?![\s\S]*<\/html\s*>)/i);
+  if (endMatch) html = html.slice(0, endMatch.index + endMatch[0].length);
+  return html.trim();
+}
+
+/**
+ * Tokenize into text / comment / tag pieces (raw-text element bodies are
+ * kept as text). Good enough for balance checking; not a full HTML parser.
+ */
+function tokenize(html) {
+  const tokens = [];
+  const tagRe = /<!--[\s\S]*?(?:-->|$)|<!DOCTYPE[^>]*>|<\/?([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/gi;
+  let last = 0;
+  let match;
+  while ((match = tagRe.exec(html))) {
+    if (match.index > last) tokens.push({ kind: 'text', raw: html.slice(last, match.index) });
+    const raw = match[0];
+    last = tagRe.lastIndex;
+
+    if (raw.startsWith('<!--') || /^<!DOCTYPE/i.test(raw)) {
+      tokens.push({ kind: 'comment', raw });
+      continue;
+    }
+    const name = match[1].toLowerCase();
+    const closing = raw.startsWith('</');
+    const selfClosing = /\/\s*>$/.test(raw);
+    tokens.push({ kind: 'tag', raw, name, closing, selfClosing });
+
+    // Skip straight to the matching close tag of raw-text elements
+    if (!closing && !selfClosing && RAW_TEXT_ELEMENTS.has(name)) {
+      const closeRe = new RegExp(`</${name}\\s*>`, 'ig');
+      closeRe.lastIndex = last;
+      const close = closeRe.exec(html);
+      const end = close ? close.index : html.length;
+      if (end > last) tokens.push({ kind: 'text', raw: html.slice(last, end) });
+      if (close) {
+        tokens.push({ kind: 'tag', raw: close[0], name, closing: true, selfClosing: false });
+        last = closeRe.lastIndex;
+      } else {
+        last = html.length;
+      }
+      tagRe.lastIndex = last;
+    }
+  }
+  if (last < html.length) tokens.push({ kind: 'text', raw: html.slice(last) });
+  return tokens;
+}
+
+/**
+ * Re-emit the document with balanced tags: stray closers are dropped,
+ * unclosed elements are closed where their parent closes (or at EOF).
+ * Returns { html, fixes } where fixes lists what was changed.
+ */
+function balanceTags(html) {
+  const stack = [];
+  const out = [];
+  const fixes = [];
+
+  for (const token of tokenize(html)) {
+    if (token.kind !== 'tag' || token.selfClosing || VOID_ELEMENTS.has(token.name)) {
+      out.push(token.raw);
+      continue;
+    }
+    if (!token.closing) {
+      stack.push(token.name);
+      out.push(token.raw);
+      continue;
+    }
+    const depth = stack.lastIndexOf(token.name);
+    if (depth === -1) {
+      fixes.push(`removed stray </${token.name}>`);
+      continue;
+    }
+    while (stack.length - 1 > depth) {
+      const open = stack.pop();
+      out.push(`</${open}>`);
+      if (!OPTIONAL_CLOSE.has(open)) fixes.push(`closed <${open}> before </${token.name}>`);
+    }
+    stack.pop();
+    out.push(token.raw);
+  }
+  while (stack.length) {
+    const open = stack.pop();
+    out.push(`</${open}>`);
+    if (!OPTIONAL_CLOSE.has(open)) fixes.push(`closed <${open}> at end of document`);
+  }
+  return { html: out.join(''), fixes };
+}
+
+function findMarkers(html, re) {
+  const found = [];
+  let match;
+  re.lastIndex = 0;
+  while ((match = re.exec(html))) {
+    found.push({ name: match[1].toLowerCase(), index: match.index, end: re.lastIndex });
+  }
+  return found;
+}
+
+/**
+ * Add a missing <!-- END: X --> right before the next section starts
+ * (or before </body>).
+ */
+function closeOpenSections(html) {
+  const fixes = [];
+  let result = html;
+  const starts = findMarkers(result, SECTION_RE);
+  // Walk backwards so earlier indexes stay valid while inserting
+  for (let i = starts.length - 1; i >= 0; i--) {
+    const start = starts[i];
+    const nextStart = i + 1 < starts.length ? starts[i + 1].index : -1;
+    const ends = findMarkers(result, END_RE)
+      .filter(e => e.name === start.name && e.index > start.end && (nextStart === -1 || e.index < nextStart));
+    if (ends.length) continue;
+
+    let insertAt = nextStart;
+    if (insertAt === -1) {
+      const bodyClose = result.search(/<\/body\s*>/i);
+      insertAt = bodyClose === -1 ? result.length : bodyClose;
+    }
+    result = `${result.slice(0, insertAt)}<!-- END: ${start.name.toUpperCase()} -->\n${result.slice(insertAt)}`;
+    fixes.push(`added missing END marker for ${start.name}`);
+  }
+  return { html: result, fixes };
+}
+
+/**
+ * Ensure <!DOCTYPE html>, <html>, <head> with charset, and <body>.
+ */
+function ensureSkeleton(html) {
+  const fixes = [];
+  let result = html;
+
+  if (!/<html[\s>]/i.test(result)) {
+    const styles = [];
+    result = result.replace(/<style[\s\S]*?<\/style\s*>/gi, (m) => { styles.push(m); return ''; });
+    result = `<html>\n<head>\n  <meta charset="utf-8"/>\n${styles.join('\n')}\n</head>\n<body>\n${result.trim()}\n</body>\n</html>`;
+    fixes.push('wrapped fragment in <html>/<head>/<body>');
+  } else {
+    if (!/<head[\s>]/i.test(result)) {
+      result = result.replace(/<html([^>]*)>/i, '<html$1>\n<head>\n  <meta charset="utf-8"/>\n</head>');
+      fixes.push('added <head>');
+    } else if (!/<meta[^>]+charset/i.test(result)) {
+      result = result.replace(/<head([^>]*)>/i, '<head$1>\n  <meta charset="utf-8"/>');
+      fixes.push('added charset meta');
+    }
+    if (!/<body[\s>]/i.test(result)) {
+      result = result
+        .replace(/<\/head\s*>/i, '</head>\n<body>')
+        .replace(/<\/html\s*>(?![\s\S]*<\/html\s*>)/i, '</body>\n</html>');
+      fixes.push('added <body>');
+    }
+  }
+  if (!/^\s*<!DOCTYPE html>/i.test(result)) {
+    result = `<!DOCTYPE html>\n${result.replace(/^\s*<!DOCTYPE[^>]*>\s*/i, '')}`;
+    fixes.push('added <!DOCTYPE html>');
+  }
+  return { html: result, fixes };
+}
+
+/**
+ * Report what is wrong with a (possibly repaired) document.
+ */
+function findDefects(html, projectType) {
+  const defects = [];
+  if (!/^\s*<!DOCTYPE html>/i.test(html)) {
+    defects.push({ code: 'doctype', message: 'Missing <!DOCTYPE html> at the start of the file.' });
+  }
+  const { fixes } = balanceTags(html);
+  for (const fix of fixes) {
+    defects.push({ code: 'tags', message: `Unbalanced markup (${fix}).` });
+  }
+
+  const starts = findMarkers(html, SECTION_RE).map(m => m.name);
+  const ends = findMarkers(html, END_RE).map(m => m.name);
+  for (const name of requiredSections(projectType)) {
+    if (!starts.includes(name)) {
+      defects.push({ code: 'section', section: name, message: `Missing section "${name}" (<!-- SECTION: ${name} --> ... <!-- END: ${name.toUpperCase()} -->).` });
+    } else if (!ends.includes(name)) {
+      defects.push({ code: 'marker', section: name, message: `Missing <!-- END: ${name.toUpperCase()} --> marker.` });
+    }
+  }
+  for (const placeholder of REQUIRED_PLACEHOLDERS) {
+    if (!html.includes(placeholder)) {
+      defects.push({ code: 'placeholder', message: `Missing image placeholder ${placeholder}.` });
+    }
+  }
+  return defects;
+}
+
+/**
+ * Clean up raw model output and repair everything that can be repaired
+ * without the model. Returns { html, fixes, defects } where `defects` are
+ * the problems that remain (re-prompt material).
+ */
+function validateAndRepair(raw, projectType) {
+  const fixes = [];
+  let html = stripChatter(raw);
+  if (html !== (raw || '').trim()) fixes.push('removed non-HTML text / code fences');
+
+  for (const step of [ensureSkeleton, balanceTags, closeOpenSections]) {
+    const result = step(html);
+    html = result.html;
+    fixes.push(...result.fixes);
+  }
+  return { html, fixes, defects: findDefects(html, projectType) };
+}
+
+/**
+ * User message asking the model to fix specific defects.
+ */
+function repairPrompt(defects, projectType) {
+  return `The HTML file you produced has these defects:
+${defects.map(d => `- ${d.message}`).join('\n')}
+Return the COMPLETE corrected HTML file with every defect fixed and nothing else changed.
+${markerInstructions(projectType)}
+No explanations, no code fences, just the raw HTML.`;
+}
+
+module.exports = {
+  REQUIRED_SECTIONS,
+  REQUIRED_PLACEHOLDERS,
+  requiredSections,
+  markerInstructions,
+  stripChatter,
+  tokenize,
+  balanceTags,
+  validateAndRepair,
+  repairPrompt
+};
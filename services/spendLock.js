@@ -0,0 +1,44 @@
+// backend/services/spendLock.js
+//
+// One spender per address at a time. Withdrawals (from a custodial wallet)
+// and sweeps (from a credit address) take the lock of the address whose
+// UTXOs they spend before building a transaction, so two transactions
+// never pick the same coins.
+
+const SpendLock = require('../models/SpendLock');
+
+// Longer than any send takes; a crashed holder blocks the address this long
+const SPEND_LOCK_TTL_MS = parseInt(process.env.SPEND_LOCK_TTL_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Take the lock on `address` for `holder`. Resolves to false while someone
+ * else holds it.
+ */
+async function acquireSpendLock(address, holder) {
+  const now = new Date();
+  try {
+    // Takes over an expired lock the TTL monitor hasn't removed yet
+    await SpendLock.updateOne(
+      { address, expiresAt: { $lte: now } },
+      { $set: { holder, expiresAt: new Date(now.getTime() + SPEND_LOCK_TTL_MS) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Give the lock back (no-op if it expired and was taken over).
+ */
+async function releaseSpendLock(address, holder) {
+  await SpendLock.deleteOne({ address, holder });
+}
+
+module.exports = {
+  SPEND_LOCK_TTL_MS,
+  acquireSpendLock,
+  releaseSpendLock
+};
@@ -0,0 +1,248 @@
+// backend/services/sweepService.js
+//
+// Scheduled sweeper: moves KAS that has been credited (user.processedTransactions,
+// coinType 'KAS', status confirmed, no sweepId yet) from users' credit
+// addresses (depositService.creditAddress: custodial wallets and the deposit
+// addresses of external / non-custodial accounts) to TREASURY_ADDRESS.
+// At most the credited-but-unswept total is sent, less what withdrawals have
+// paid out of those deposits, so funds that arrived but haven't been
+// credited stay put; the network fee is taken out of the swept amount and
+// any change returns to the credit address. Sweeps and withdrawals spend
+// under the address's spend lock. KASPER (KRC-20) needs inscription transfers and is
+// not swept here.
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const Sweep = require('../models/Sweep');
+const { creditPrivateKey } = require('./depositAddressService');
+const { creditAddress, transferStatus } = require('./depositService');
+const { SPEND_LOCK_TTL_MS, acquireSpendLock, releaseSpendLock } = require('./spendLock');
+const { withdrawnByDeposit } = require('./withdrawalService');
+const {
+  isValidAddress,
+  getBalance,
+  estimateTransfer,
+  sendTransfer
+} = require('../wasm_rpc');
+
+const SWEEP_CRON = process.env.SWEEP_CRON || '0 * * * *';   // hourly
+// Below this a sweep costs more in fees/mass than it is worth
+const MIN_SWEEP_SOMPI = BigInt(Math.round((parseFloat(process.env.MIN_SWEEP_KAS) || 1) * 1e8));
+
+function kasToSompi(kas) {
+  return BigInt(Math.round(kas * 1e8));
+}
+
+function treasuryAddress() {
+  const address = process.env.TREASURY_ADDRESS;
+  return isValidAddress(address) ? address : null;
+}
+
+/**
+ * Sweep one wallet's credited KAS. Resolves to the Sweep document, or null
+ * when there is nothing (worth) sweeping right now.
+ */
+async function sweepWallet(user, treasury) {
+  const source = creditAddress(user);
+  if (!source || source === treasury) return null;
+  const sweep = new Sweep({
+    walletAddress: user.walletAddress,
+    depositAddress: source,
+    treasury
+  });
+  const holder = `sweep:${sweep._id}`;
+  if (!(await acquireSpendLock(source, holder))) return null; // another worker is on it
+  try {
+    // Read again under the lock: a sweep that just finished has claimed some.
+    // Only deposits paid to `source` are there to sweep (entries from before
+    // addresses were recorded paid the wallet itself), minus what custodial
+    // withdrawals took out of them.
+    const { processedTransactions = [] } = await User.findById(user._id).select('processedTransactions').lean();
+    const deposits = processedTransactions
+      .filter(t => t.coinType === 'KAS' && !t.sweepId && t.amount > 0 && (t.status || 'confirmed') === 'confirmed')
+      .filter(t => (t.address || user.walletAddress) === source);
+    const withdrawn = await withdrawnByDeposit(user.walletAddress, deposits.map(t => t.txid));
+    const credited = deposits.reduce((sum, t) => {
+      const left = kasToSompi(t.amount) - (withdrawn.get(t.txid) || 0n);
+      return left > 0n ? sum + left : sum;
+    }, 0n);
+    if (credited < MIN_SWEEP_SOMPI) return null;
+
+    sweep.depositTxids = deposits.map(t => t.txid);
+    await sweep.save();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'processedTransactions.$[d].sweepId': sweep._id } },
+      { arrayFilters: [{ 'd.txid': { $in: sweep.depositTxids }, 'd.sweepId': { $exists: false } }] }
+    );
+    return await sendSweep(user, sweep, credited);
+  } finally {
+    await releaseSpendLock(source, holder);
+  }
+}
+
+/**
+ * Give a sweep's deposits back so the next run retries them.
+ */
+async function releaseDeposits(walletAddress, sweepId) {
+  await User.updateOne(
+    { walletAddress },
+    { $unset: { 'processedTransactions.$[d].sweepId': '' } },
+    { arrayFilters: [{ 'd.sweepId': sweepId }] }
+  );
+}
+
+/**
+ * Build and submit a claimed sweep; on failure the deposits are released
+ * for the next run. Once its txids are stored the sweep may be on the
+ * network, so it stays 'processing' for recoverStaleSweeps() instead.
+ */
+async function sendSweep(user, sweep, credited) {
+  let txidsSaved = false;
+  try {
+    const balance = await getBalance(sweep.depositAddress);
+    const available = balance < credited ? balance : credited;
+    const transfer = {
+      fromAddress: sweep.depositAddress,
+      toAddress: sweep.treasury,
+      amountSompi: available,
+      feesFromAmount: true
+    };
+    const { feesSompi } = await estimateTransfer(transfer);
+    if (available - feesSompi < MIN_SWEEP_SOMPI) {
+      throw new Error(`Only ${available - feesSompi} sompi sweepable after fees (balance ${balance}, credited ${credited}).`);
+    }
+
+    const result = await sendTransfer({
+      ...transfer,
+      privateKey: await creditPrivateKey(user.walletAddress),
+      beforeSubmit: async (txids) => {
+        sweep.set({ txids, updatedAt: new Date() });
+        const saved = await Sweep.updateOne(
+          { _id: sweep._id, status: 'processing' },
+          { $set: { txids, updatedAt: sweep.updatedAt } }
+        );
+        if (!saved.matchedCount) throw new Error('Sweep was settled by crash recovery in the meantime.');
+        txidsSaved = true;
+      }
+    });
+
+    const amountSompi = available - result.feesSompi;
+    sweep.set({
+      status: 'submitted',
+      amountSompi: amountSompi.toString(),
+      feeSompi: result.feesSompi.toString(),
+      submittedAt: new Date(),
+      updatedAt: new Date()
+    });
+    await sweep.save();
+    console.log(`Swept ${amountSompi} sompi from ${user.walletAddress} to treasury: ${result.txids.join(', ')}`);
+    return sweep;
+  } catch (err) {
+    console.error(`Sweep of ${user.walletAddress} failed:`, err.message || err);
+    if (txidsSaved) return sweep;
+    await releaseDeposits(user.walletAddress, sweep._id);
+    sweep.set({ status: 'failed', error: err.message || String(err), updatedAt: new Date() });
+    await sweep.save();
+    return sweep;
+  }
+}
+
+/**
+ * Sweeps left 'processing' by a worker that died mid-send (their spend lock
+ * has expired). Without txids nothing was sent; with txids the network
+ * decides: submitted once it knows the transaction, failed if it never
+ * shows up. Failed sweeps release their deposits. Run periodically by the
+ * worker.
+ */
+async function recoverStaleSweeps() {
+  const stale = await Sweep.find({
+    status: 'processing',
+    updatedAt: { $lt: new Date(Date.now() - SPEND_LOCK_TTL_MS) }
+  }).lean();
+  for (const sweep of stale) {
+    try {
+      const status = sweep.txids.length ? await transferStatus(sweep.txids, sweep.updatedAt) : 'dropped';
+      if (status === 'unknown') continue;
+      if (status === 'seen') {
+        await Sweep.updateOne(
+          { _id: sweep._id, status: 'processing' },
+          { $set: { status: 'submitted', submittedAt: sweep.updatedAt, updatedAt: new Date() } }
+        );
+      } else {
+        const error = sweep.txids.length ? 'Transaction never reached the network.' : 'Interrupted before sending.';
+        await releaseDeposits(sweep.walletAddress, sweep._id);
+        await Sweep.updateOne(
+          { _id: sweep._id, status: 'processing' },
+          { $set: { status: 'failed', error, updatedAt: new Date() } }
+        );
+      }
+      console.log(`Recovered stale sweep ${sweep._id}: ${status === 'seen' ? 'submitted' : 'failed'}`);
+    } catch (err) {
+      console.error(`Failed to recover sweep ${sweep._id}:`, err.message || err);
+    }
+  }
+}
+
+/**
+ * One pass over every credit address with unswept credited KAS.
+ */
+async function runSweep() {
+  const treasury = treasuryAddress();
+  if (!treasury) {
+    console.error('Sweep skipped: TREASURY_ADDRESS is missing or invalid.');
+    return { swept: 0, failed: 0 };
+  }
+
+  const cursor = User.find({
+    processedTransactions: {
+      $elemMatch: { coinType: 'KAS', sweepId: { $exists: false }, status: { $nin: ['pending', 'reversed'] } }
+    }
+  })
+    .select('walletAddress accountType depositAddress')
+    .lean()
+    .cursor();
+
+  const totals = { swept: 0, failed: 0 };
+  for await (const user of cursor) {
+    try {
+      const sweep = await sweepWallet(user, treasury);
+      if (sweep && sweep.status === 'submitted') totals.swept++;
+      if (sweep && sweep.status === 'failed') totals.failed++;
+    } catch (err) {
+      totals.failed++;
+      console.error(`Sweep of ${user.walletAddress} failed:`, err.message || err);
+    }
+  }
+  console.log(`Sweep finished: ${totals.swept} wallets swept, ${totals.failed} failed.`);
+  return totals;
+}
+
+/**
+ * Schedule runSweep() on SWEEP_CRON. Does nothing without a treasury.
+ */
+function startSweepScheduler() {
+  if (!treasuryAddress()) {
+    console.log('Treasury sweeps disabled (set TREASURY_ADDRESS to enable).');
+    return null;
+  }
+  let running = false;
+  return cron.schedule(SWEEP_CRON, async () => {
+    if (running) return; // previous pass still going
+    running = true;
+    try {
+      await runSweep();
+    } catch (err) {
+      console.error('Sweep run failed:', err);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = {
+  sweepWallet,
+  runSweep,
+  recoverStaleSweeps,
+  startSweepScheduler
+};
@@ -0,0 +1,363 @@
+// backend/services/withdrawalService.js
+//
+// KAS withdrawals from custodial wallets, in two steps:
+//   estimate  validates, estimates the network fee, records an 'estimated'
+//             withdrawal the user can confirm for WITHDRAWAL_TTL_MS
+//   confirm   debits the credits backing the KAS (amount + fee), signs with
+//             the wallet's receive key and submits; refunds on failure
+// Only the user's own KAS deposits still in the wallet (confirmed, not swept,
+// not paid out by an earlier withdrawal) can be withdrawn, and the credits
+// debited are the ones those deposits granted. Sign-up, KRC-20 and refunded
+// credits never turn into KAS, and rate changes don't move the price.
+// Withdrawals and sweeps of a wallet share its spend lock
+// (services/spendLock.js).
+
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const ledger = require('./creditLedger');
+const { openWalletSecrets } = require('./keyVault');
+const { transferStatus } = require('./depositService');
+const { SPEND_LOCK_TTL_MS, acquireSpendLock, releaseSpendLock } = require('./spendLock');
+const {
+  isValidAddress,
+  kaspaToSompi,
+  receivePrivateKey,
+  estimateTransfer,
+  sendTransfer
+} = require('../wasm_rpc');
+
+const WITHDRAWAL_TTL_MS = 10 * 60 * 1000;
+// Smaller outputs are rejected by the network's storage mass rules
+const MIN_WITHDRAWAL_KAS = parseFloat(process.env.MIN_WITHDRAWAL_KAS) || 0.2;
+const PRIORITY_FEE_SOMPI = BigInt(process.env.WITHDRAWAL_PRIORITY_FEE_SOMPI || 0);
+const SOMPI_PER_KAS = 100000000;
+
+class WithdrawalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WithdrawalError';
+    this.status = status;
+  }
+}
+
+function sompiToKas(sompi) {
+  return Number(BigInt(sompi)) / SOMPI_PER_KAS;
+}
+
+function kasToSompi(kas) {
+  return BigInt(Math.round(kas * SOMPI_PER_KAS));
+}
+
+/**
+ * Sompi of each deposit (by txid) already paid out by withdrawals that are
+ * being sent or were sent. Sweeps leave these out too.
+ */
+async function withdrawnByDeposit(walletAddress, txids) {
+  const withdrawals = await Withdrawal.find({
+    walletAddress,
+    status: { $in: ['processing', 'submitted'] },
+    'allocations.txid': { $in: txids }
+  }).select('allocations').lean();
+  const withdrawn = new Map();
+  for (const { txid, amountSompi } of withdrawals.flatMap(w => w.allocations)) {
+    withdrawn.set(txid, (withdrawn.get(txid) || 0n) + BigInt(amountSompi));
+  }
+  return withdrawn;
+}
+
+/**
+ * The wallet's own KAS deposits that can still be withdrawn, oldest first:
+ * [{ txid, availableSompi, amount, creditsAdded }].
+ */
+async function withdrawableDeposits(walletAddress) {
+  const user = await User.findOne({ walletAddress }).select('processedTransactions').lean();
+  const deposits = ((user && user.processedTransactions) || []).filter(t =>
+    t.coinType === 'KAS' && !t.sweepId && t.amount > 0 && (t.status || 'confirmed') === 'confirmed' &&
+    (t.address || walletAddress) === walletAddress);
+  const withdrawn = await withdrawnByDeposit(walletAddress, deposits.map(t => t.txid));
+  return deposits
+    .map(t => ({
+      txid: t.txid,
+      availableSompi: kasToSompi(t.amount) - (withdrawn.get(t.txid) || 0n),
+      amount: t.amount,
+      creditsAdded: t.creditsAdded
+    }))
+    .filter(d => d.availableSompi > 0n);
+}
+
+/**
+ * Pay `totalSompi` (amount + fee) out of `deposits`, oldest first. Resolves
+ * to { allocations, credits } (credits: what those deposits granted, pro
+ * rata), or throws when they don't cover it.
+ */
+function allocate(deposits, totalSompi) {
+  const allocations = [];
+  let credits = 0;
+  let left = totalSompi;
+  for (const deposit of deposits) {
+    if (left <= 0n) break;
+    const take = deposit.availableSompi < left ? deposit.availableSompi : left;
+    allocations.push({ txid: deposit.txid, amountSompi: take.toString() });
+    credits += deposit.creditsAdded * (sompiToKas(take) / deposit.amount);
+    left -= take;
+  }
+  if (left > 0n) {
+    const available = deposits.reduce((sum, d) => sum + d.availableSompi, 0n);
+    throw new WithdrawalError(
+      `Only ${sompiToKas(available)} KAS of your own deposits can be withdrawn (amount + fee ${sompiToKas(totalSompi)}).`
+    );
+  }
+  return { allocations, credits };
+}
+
+/**
+ * Public shape of a withdrawal (KAS amounts as numbers). `credits` prices
+ * a withdrawal that hasn't debited credits yet.
+ */
+function toJSON(withdrawal, credits = null) {
+  return {
+    id: withdrawal._id,
+    destination: withdrawal.destination,
+    amount: sompiToKas(withdrawal.amountSompi),
+    fee: withdrawal.feeSompi ? sompiToKas(withdrawal.feeSompi) : null,
+    credits: withdrawal.creditsDebited || credits,
+    status: withdrawal.status,
+    txids: withdrawal.txids,
+    error: withdrawal.error,
+    expiresAt: withdrawal.status === 'estimated' ? withdrawal.expiresAt : undefined,
+    createdAt: withdrawal.createdAt,
+    submittedAt: withdrawal.submittedAt
+  };
+}
+
+async function estimateFees(walletAddress, destination, amountSompi) {
+  try {
+    const estimate = await estimateTransfer({
+      fromAddress: walletAddress,
+      toAddress: destination,
+      amountSompi,
+      priorityFeeSompi: PRIORITY_FEE_SOMPI
+    });
+    return estimate.feesSompi;
+  } catch (err) {
+    // Insufficient funds, no UTXOs, ... come back from the generator as errors
+    throw new WithdrawalError(`Cannot build the transaction: ${err.message || err}`);
+  }
+}
+
+/**
+ * Step 1: validate and price a withdrawal. Resolves to its public shape.
+ */
+async function estimateWithdrawal(walletAddress, destination, amountKas) {
+  const user = await User.findOne({ walletAddress }).select('accountType credits').lean();
+  if (!user || user.accountType !== 'custodial') {
+    throw new WithdrawalError("Only custodial wallets can withdraw through the API.");
+  }
+  if (!isValidAddress(destination)) {
+    throw new WithdrawalError("A valid kaspa: destination address is required.");
+  }
+  if (destination === walletAddress) {
+    throw new WithdrawalError("Destination is the wallet itself.");
+  }
+  const amount = Number(amountKas);
+  if (!Number.isFinite(amount) || amount < MIN_WITHDRAWAL_KAS) {
+    throw new WithdrawalError(`Amount must be at least ${MIN_WITHDRAWAL_KAS} KAS.`);
+  }
+  const amountSompi = kaspaToSompi(String(amount));
+
+  const feeSompi = await estimateFees(walletAddress, destination, amountSompi);
+  const { credits } = allocate(await withdrawableDeposits(walletAddress), amountSompi + feeSompi);
+  if (user.credits < credits) {
+    throw new WithdrawalError(`Insufficient credits: ${credits} needed for amount + fee.`);
+  }
+
+  const withdrawal = await Withdrawal.create({
+    walletAddress,
+    destination,
+    amountSompi: amountSompi.toString(),
+    feeSompi: feeSompi.toString(),
+    expiresAt: new Date(Date.now() + WITHDRAWAL_TTL_MS)
+  });
+  return toJSON(withdrawal, credits);
+}
+
+/**
+ * Write fields of a withdrawal being processed right away (crash recovery
+ * relies on them), keeping the in-memory document in step.
+ */
+async function persist(withdrawal, fields) {
+  withdrawal.set({ ...fields, updatedAt: new Date() });
+  const result = await Withdrawal.updateOne(
+    { _id: withdrawal._id, status: 'processing' },
+    { $set: { ...fields, updatedAt: withdrawal.updatedAt } }
+  );
+  if (!result.matchedCount) {
+    throw new Error("Withdrawal was settled by crash recovery in the meantime.");
+  }
+}
+
+/**
+ * Step 2: execute an estimated withdrawal. Resolves to its public shape
+ * (status 'submitted' or 'failed').
+ */
+async function confirmWithdrawal(walletAddress, withdrawalId) {
+  const holder = `withdrawal:${withdrawalId}`;
+  if (!(await acquireSpendLock(walletAddress, holder))) {
+    throw new WithdrawalError("A withdrawal or sweep of this wallet is in progress. Try again in a moment.", 409);
+  }
+  try {
+    return await sendWithdrawal(walletAddress, withdrawalId);
+  } finally {
+    await releaseSpendLock(walletAddress, holder);
+  }
+}
+
+/**
+ * Allocate, debit, sign and submit a withdrawal; the caller holds the
+ * wallet's spend lock.
+ */
+async function sendWithdrawal(walletAddress, withdrawalId) {
+  let withdrawal;
+  try {
+    withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawalId, walletAddress, status: 'estimated', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'processing', updatedAt: new Date() } },
+      { new: true }
+    );
+  } catch (err) {
+    if (err.name === 'CastError') withdrawal = null;
+    else throw err;
+  }
+  if (!withdrawal) {
+    throw new WithdrawalError("Withdrawal not found, already confirmed or expired.", 404);
+  }
+
+  const reference = `withdrawal:${withdrawal._id}`;
+  let credits = 0;
+  // Once the txids are stored the transfer may be on the network: no refund
+  // from here on, recoverStaleWithdrawals() settles it from the chain
+  let txidsSaved = false;
+  try {
+    const amountSompi = BigInt(withdrawal.amountSompi);
+    // Fees move with network load: price it again right before sending
+    const feeSompi = await estimateFees(walletAddress, withdrawal.destination, amountSompi);
+    const quote = allocate(await withdrawableDeposits(walletAddress), amountSompi + feeSompi);
+
+    const debited = await User.findOneAndUpdate(
+      { walletAddress, credits: { $gte: quote.credits } },
+      { $inc: { credits: -quote.credits } },
+      { new: true }
+    ).select('+walletSecrets');
+    if (!debited) {
+      throw new WithdrawalError(`Insufficient credits: ${quote.credits} needed for amount + fee.`);
+    }
+    credits = quote.credits;
+    // Counts against the deposits from here on (until it fails)
+    await persist(withdrawal, { creditsDebited: credits, allocations: quote.allocations });
+    await ledger.recordCharge(walletAddress, credits, reference, "KAS withdrawal");
+
+    const { xPrv } = openWalletSecrets(walletAddress, debited.walletSecrets);
+    const { feesSompi } = await sendTransfer({
+      fromAddress: walletAddress,
+      toAddress: withdrawal.destination,
+      amountSompi,
+      priorityFeeSompi: PRIORITY_FEE_SOMPI,
+      privateKey: receivePrivateKey(xPrv),
+      beforeSubmit: async (txids) => {
+        await persist(withdrawal, { txids });
+        txidsSaved = true;
+      }
+    });
+
+    withdrawal.set({
+      status: 'submitted',
+      feeSompi: feesSompi.toString(),
+      submittedAt: new Date(),
+      updatedAt: new Date()
+    });
+    await withdrawal.save();
+    return toJSON(withdrawal);
+  } catch (err) {
+    console.error(`Withdrawal ${withdrawal._id} failed:`, err.message || err);
+    if (txidsSaved) {
+      return toJSON(withdrawal);
+    }
+    if (credits) {
+      await ledger.refund(walletAddress, credits, reference, `Withdrawal failed: ${err.message || err}`);
+    }
+    withdrawal.set({ status: 'failed', error: err.message || String(err), updatedAt: new Date() });
+    await withdrawal.save();
+    if (err instanceof WithdrawalError) throw err;
+    return toJSON(withdrawal);
+  }
+}
+
+/**
+ * Settle one stale 'processing' withdrawal. The refund goes first: it is
+ * idempotent, so a crash in between only repeats it on the next pass.
+ */
+async function settleStaleWithdrawal(withdrawal) {
+  if (withdrawal.txids.length) {
+    const status = await transferStatus(withdrawal.txids, withdrawal.updatedAt);
+    if (status === 'unknown') return null;
+    if (status === 'seen') {
+      await Withdrawal.updateOne(
+        { _id: withdrawal._id, status: 'processing' },
+        { $set: { status: 'submitted', submittedAt: withdrawal.updatedAt, updatedAt: new Date() } }
+      );
+      return 'submitted';
+    }
+  }
+  const error = withdrawal.txids.length ? "Transaction never reached the network." : "Interrupted before sending.";
+  if (withdrawal.creditsDebited) {
+    await ledger.refund(withdrawal.walletAddress, withdrawal.creditsDebited, `withdrawal:${withdrawal._id}`,
+      `Withdrawal failed: ${error}`);
+  }
+  await Withdrawal.updateOne(
+    { _id: withdrawal._id, status: 'processing' },
+    { $set: { status: 'failed', error, updatedAt: new Date() } }
+  );
+  return 'failed';
+}
+
+/**
+ * Withdrawals left 'processing' by a process that died mid-send (their
+ * spend lock has expired). Without txids nothing was sent: failed and
+ * refunded. With txids the network decides: submitted once it knows the
+ * transaction, failed and refunded if it never shows up. Run periodically
+ * by the worker.
+ */
+async function recoverStaleWithdrawals() {
+  const stale = await Withdrawal.find({
+    status: 'processing',
+    updatedAt: { $lt: new Date(Date.now() - SPEND_LOCK_TTL_MS) }
+  }).lean();
+  for (const withdrawal of stale) {
+    try {
+      const outcome = await settleStaleWithdrawal(withdrawal);
+      if (outcome) console.log(`Recovered stale withdrawal ${withdrawal._id}: ${outcome}`);
+    } catch (err) {
+      console.error(`Failed to recover withdrawal ${withdrawal._id}:`, err.message || err);
+    }
+  }
+}
+
+/**
+ * A wallet's withdrawals, newest first.
+ */
+async function listWithdrawals(walletAddress, limit = 50) {
+  const withdrawals = await Withdrawal.find({ walletAddress })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+  return withdrawals.map(withdrawal => toJSON(withdrawal));
+}
+
+module.exports = {
+  WithdrawalError,
+  estimateWithdrawal,
+  confirmWithdrawal,
+  recoverStaleWithdrawals,
+  listWithdrawals,
+  withdrawnByDeposit
+};
@@ -11,6 +11,15 @@ const {
     initConsolePanicHook,
     RpcClient,
     Resolver,
+    Address,
+    PublicKey,
+    XPub,
+    verifyMessage,
+    Generator,
+    UtxoProcessor,
+    UtxoContext,
+    FeeSource,
+    kaspaToSompi,
 } = kaspa;
 
 // Enable console panic hooks for debugging
@@ -22,38 +31,203 @@ const rpc = new RpcClient({
     networkId: "mainnet",
 });
 
+// BIP44 account of the wallet; receive = <account>/0/0, change = <account>/1/0
+const ACCOUNT_PATH = "m/44'/111111'/0'";
+
+// Keys and addresses of the wallet behind a mnemonic
+function deriveWallet(mnemonic) {
+    const seed = mnemonic.toSeed();
+    const xPrv = new XPrv(seed);
+
+    // Derive receiving address
+    const receivePath = "m/44'/111111'/0'/0/0";
+    const receiveKey = xPrv.derivePath(receivePath).toXPub().toPublicKey();
+    const receiveAddress = receiveKey.toAddress(NetworkType.Mainnet);
+
+    // Derive change address
+    const changePath = "m/44'/111111'/0'/1/0";
+    const changeKey = xPrv.derivePath(changePath).toXPub().toPublicKey();
+    const changeAddress = changeKey.toAddress(NetworkType.Mainnet);
+
+    // Account xPub: lets a non-custodial account be watched without its keys
+    const xPub = xPrv.derivePath(ACCOUNT_PATH).toXPub().intoString("kpub");
+
+    return {
+        success: true,
+        mnemonic: mnemonic.phrase,
+        receivingAddress: receiveAddress.toString(),
+        changeAddress: changeAddress.toString(),
+        xPrv: xPrv.intoString("xprv"),
+        xPub,
+    };
+}
+
 // Utility function to create a wallet
 async function createWallet() {
     try {
         // Generate a new mnemonic
-        const mnemonic = Mnemonic.random();
-        const seed = mnemonic.toSeed();
-        const xPrv = new XPrv(seed);
-
-        // Derive receiving address
-        const receivePath = "m/44'/111111'/0'/0/0";
-        const receiveKey = xPrv.derivePath(receivePath).toXPub().toPublicKey();
-        const receiveAddress = receiveKey.toAddress(NetworkType.Mainnet);
-
-        // Derive change address
-        const changePath = "m/44'/111111'/0'/1/0";
-        const changeKey = xPrv.derivePath(changePath).toXPub().toPublicKey();
-        const changeAddress = changeKey.toAddress(NetworkType.Mainnet);
-
-        // Return wallet data
-        return {
-            success: true,
-            mnemonic: mnemonic.phrase,
-            receivingAddress: receiveAddress.toString(),
-            changeAddress: changeAddress.toString(),
-            xPrv: xPrv.intoString("xprv"),
-        };
+        return deriveWallet(Mnemonic.random());
     } catch (err) {
         // Return error as a JSON response
         return { success: false, error: err.message };
     }
 }
 
+// Re-derive a wallet from its recovery phrase (account recovery).
+// Returns { success: false } for an invalid phrase.
+function walletFromMnemonic(phrase) {
+    try {
+        const normalized = String(phrase || "").trim().toLowerCase().split(/\s+/).join(" ");
+        if (!Mnemonic.validate(normalized)) {
+            return { success: false, error: "Invalid recovery phrase." };
+        }
+        return deriveWallet(new Mnemonic(normalized));
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+// Receive/change addresses of an account-level xPub (as returned by
+// createWallet or derived client-side). Throws on a malformed xPub.
+function addressesFromXPub(xPubString) {
+    const xPub = new XPub(xPubString);
+    return {
+        receivingAddress: xPub.deriveChild(0).deriveChild(0).toPublicKey().toAddress(NetworkType.Mainnet).toString(),
+        changeAddress: xPub.deriveChild(1).deriveChild(0).toPublicKey().toAddress(NetworkType.Mainnet).toString(),
+    };
+}
+
+// True if `address` is a well-formed mainnet Kaspa address
+function isValidAddress(address) {
+    try {
+        return typeof address === "string" && Address.validate(address) && new Address(address).prefix === "kaspa";
+    } catch (err) {
+        return false;
+    }
+}
+
+// Check a message signed by an external wallet (KasWare, Kastle, ...):
+// the public key must belong to `address` (Schnorr or ECDSA) and the
+// signature must verify against it.
+function verifySignedMessage({ address, publicKey, message, signature }) {
+    try {
+        const key = new PublicKey(publicKey);
+        const owners = [
+            key.toAddress(NetworkType.Mainnet).toString(),
+            key.toAddressECDSA(NetworkType.Mainnet).toString(),
+        ];
+        if (!owners.includes(address)) return false;
+        return verifyMessage({ message, signature, publicKey: key });
+    } catch (err) {
+        // Malformed key or signature
+        return false;
+    }
+}
+
+// Connect the shared RPC client on first use
+async function connectRpc() {
+    if (!rpc.isConnected) {
+        await rpc.connect();
+    }
+    return rpc;
+}
+
+// Private key of a wallet's receive address (m/44'/111111'/0'/0/0)
+function receivePrivateKey(xPrvString) {
+    return XPrv.fromXPrv(xPrvString).derivePath("m/44'/111111'/0'/0/0").toPrivateKey();
+}
+
+// Total of an address's UTXOs, in sompi
+async function getBalance(address) {
+    const client = await connectRpc();
+    const { entries } = await client.getUtxosByAddresses([address]);
+    return entries.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+}
+
+// Transaction generator paying `amountSompi` from `fromAddress`'s UTXOs,
+// change back to `fromAddress`. With `feesFromAmount` the network fees are
+// taken out of the paid amount (sweeps: `amountSompi` can be the whole
+// balance) instead of being added on top.
+async function transferGenerator({ fromAddress, toAddress, amountSompi, priorityFeeSompi = 0n, feesFromAmount = false }) {
+    const client = await connectRpc();
+    const { entries } = await client.getUtxosByAddresses([fromAddress]);
+    if (!entries.length) {
+        throw new Error("No spendable UTXOs.");
+    }
+    // Smallest first, like the examples: consolidates dust along the way
+    entries.sort((a, b) => (a.amount > b.amount ? 1 : -1));
+    return new Generator({
+        entries,
+        outputs: [{ address: toAddress, amount: amountSompi }],
+        priorityFee: feesFromAmount
+            ? { amount: priorityFeeSompi, source: FeeSource.ReceiverPays }
+            : priorityFeeSompi,
+        changeAddress: fromAddress,
+        networkId: "mainnet",
+    });
+}
+
+// Fee estimate for a transfer: { feesSompi, transactions, utxos }
+async function estimateTransfer(params) {
+    const generator = await transferGenerator(params);
+    const summary = await generator.estimate();
+    return {
+        feesSompi: summary.fees,
+        transactions: summary.transactions,
+        utxos: summary.utxos,
+    };
+}
+
+// Build, sign and submit a transfer. Resolves to { txids, feesSompi }.
+// Large UTXO sets may need several (compounding) transactions; the last
+// one pays `toAddress`. `beforeSubmit(txids)` runs once all of them are
+// signed and before any is submitted, so callers can record the ids first.
+async function sendTransfer({ privateKey, beforeSubmit, ...params }) {
+    const client = await connectRpc();
+    const generator = await transferGenerator(params);
+    const signed = [];
+    let pending;
+    while ((pending = await generator.next())) {
+        await pending.sign([privateKey]);
+        signed.push(pending);
+    }
+    const txids = signed.map((tx) => tx.id);
+    if (beforeSubmit) {
+        await beforeSubmit(txids);
+    }
+    for (const tx of signed) {
+        await tx.submit(client);
+    }
+    return { txids, feesSompi: generator.summary().fees };
+}
+
+// UtxoProcessor + UtxoContext on the shared RPC client, for watching a set
+// of addresses. Listeners go on `processor`; call start() once they're set.
+// `maturityDaa`: DAA score depth after which a received transaction emits
+// "maturity" (the SDK default otherwise).
+function createUtxoWatcher({ maturityDaa } = {}) {
+    if (maturityDaa) {
+        UtxoProcessor.setUserTransactionMaturityDAA("mainnet", BigInt(maturityDaa));
+    }
+    const processor = new UtxoProcessor({ rpc, networkId: "mainnet" });
+    const context = new UtxoContext({ processor });
+    return {
+        processor,
+        context,
+        start: async () => {
+            await processor.start();
+            await connectRpc();
+        },
+        // Process shutdown: also drops the shared RPC connection
+        stop: async () => {
+            await processor.stop();
+            if (rpc.isConnected) {
+                await rpc.disconnect();
+            }
+        },
+    };
+}
+
 // Command-line interface for creating a wallet
 if (require.main === module) {
     (async () => {
@@ -70,4 +244,16 @@ if (require.main === module) {
     })();
 }
 
-module.exports = { createWallet };
+module.exports = {
+    createWallet,
+    walletFromMnemonic,
+    addressesFromXPub,
+    isValidAddress,
+    verifySignedMessage,
+    kaspaToSompi,
+    receivePrivateKey,
+    getBalance,
+    estimateTransfer,
+    sendTransfer,
+    createUtxoWatcher,
+};
@@ -0,0 +1,138 @@
+// backend/worker.js
+//
+// Long-running worker process (Procfile `worker`). Leases generation jobs
+// from the Mongo-backed queue, runs them and writes results back, so heavy
+// LLM calls never run inside the web process. Also runs the real-time KAS
+// deposit watcher and the scheduled treasury sweep of credited deposits.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const os = require('os');
+
+const jobs = require('./services/generationJobService');
+const { doWebsiteGeneration } = require('./services/generationService');
+const { startSweepScheduler, recoverStaleSweeps } = require('./services/sweepService');
+const { startDepositWatcher, stopDepositWatcher } = require('./services/depositWatcher');
+const { reconcileDeposits } = require('./services/depositService');
+const { recoverStaleWithdrawals } = require('./services/withdrawalService');
+const { ensureDefaultAssets } = require('./services/paymentAssetService');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS, 10) || 2000;
+// Renew well before the visibility timeout runs out
+const LEASE_RENEW_MS = Math.floor(jobs.VISIBILITY_TIMEOUT_MS / 3);
+// How often failed-but-unrefunded jobs are swept
+const REFUND_SWEEP_MS = 5 * 60 * 1000;
+// How often pending / recently credited KAS deposits are re-checked
+const DEPOSIT_RECONCILE_MS = 2 * 60 * 1000;
+// How often payouts interrupted mid-send are settled
+const STALE_PAYOUT_MS = 5 * 60 * 1000;
+
+let shuttingDown = false;
+const activeJobs = new Set();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run one leased job, renewing its lease until it settles.
+ */
+async function runJob(job) {
+  const { requestId } = job;
+  activeJobs.add(requestId);
+  console.log(`[${WORKER_ID}] Running job ${requestId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  const leaseTimer = setInterval(() => {
+    jobs.extendLease(requestId, WORKER_ID)
+      .then(stillOwned => {
+        if (!stillOwned) console.error(`[${WORKER_ID}] Lost lease on job ${requestId}`);
+      })
+      .catch(err => console.error(`Lease renewal failed for job ${requestId}:`, err.message));
+  }, LEASE_RENEW_MS);
+
+  try {
+    await doWebsiteGeneration(job, WORKER_ID);
+    console.log(`[${WORKER_ID}] Job ${requestId} done`);
+  } catch (err) {
+    await jobs.retryJob(requestId, WORKER_ID, err)
+      .catch(retryErr => console.error(`Failed to requeue job ${requestId}:`, retryErr));
+  } finally {
+    clearInterval(leaseTimer);
+    activeJobs.delete(requestId);
+  }
+}
+
+/**
+ * One polling loop; CONCURRENCY of these run side by side.
+ */
+async function pollLoop() {
+  while (!shuttingDown) {
+    let job = null;
+    try {
+      job = await jobs.claimNextJob(WORKER_ID);
+    } catch (err) {
+      console.error(`[${WORKER_ID}] Failed to claim job:`, err.message);
+    }
+    if (!job) {
+      await sleep(POLL_INTERVAL_MS);
+      continue;
+    }
+    await runJob(job);
+  }
+}
+
+/**
+ * SIGTERM (dyno restart): stop claiming and hand unfinished jobs back.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[${WORKER_ID}] ${signal} received, releasing ${activeJobs.size} job(s)`);
+  for (const requestId of activeJobs) {
+    await jobs.releaseJob(requestId, WORKER_ID)
+      .catch(err => console.error(`Failed to release job ${requestId}:`, err.message));
+  }
+  await stopDepositWatcher();
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+mongoose.connect(process.env.MONGO_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => {
+  console.log(`Worker ${WORKER_ID} connected to MongoDB (concurrency ${CONCURRENCY})`);
+  ensureDefaultAssets().catch(err => console.error('Failed to seed payment assets:', err.message));
+  for (let i = 0; i < CONCURRENCY; i++) {
+    pollLoop();
+  }
+  setInterval(() => {
+    jobs.refundFailedJobs().catch(err => console.error('Refund sweep failed:', err.message));
+  }, REFUND_SWEEP_MS);
+  // Pending deposits => credited once deep enough; reorged ones reversed
+  setInterval(() => {
+    reconcileDeposits().catch(err => console.error('Deposit reconciliation failed:', err.message));
+  }, DEPOSIT_RECONCILE_MS);
+  // Withdrawals / sweeps stuck in 'processing' after a crash => submitted or failed
+  setInterval(() => {
+    recoverStaleWithdrawals().catch(err => console.error('Withdrawal recovery failed:', err.message));
+    recoverStaleSweeps().catch(err => console.error('Sweep recovery failed:', err.message));
+  }, STALE_PAYOUT_MS);
+  // Credited KAS deposits => treasury (TREASURY_ADDRESS, SWEEP_CRON)
+  startSweepScheduler();
+  // Incoming KAS => credits + 'deposit' wallet events (DEPOSIT_WATCHER=off to disable)
+  if (process.env.DEPOSIT_WATCHER !== 'off') {
+    startDepositWatcher().catch(err => console.error('Deposit watcher failed to start:', err.message || err));
+  }
+})
+.catch(err => {
+  console.error('Worker failed to connect to MongoDB:', err);
+  process.exit(1);
+});